@@ -8,13 +8,20 @@ var http = require("http"),
   cors = require("cors"),
   passport = require("passport"),
   errorhandler = require("errorhandler"),
-  mongoose = require("mongoose");
+  mongoose = require("mongoose"),
+  config = require("./config");
 
 var isProduction = process.env.NODE_ENV === "production";
 
 // Create global app object
 var app = express();
 
+// behind a proxy req.ip, which sign in limits go by, is the proxy's address
+// unless it's trusted
+if (config.trustProxy) {
+  app.set("trust proxy", config.trustProxy);
+}
+
 app.use(cors());
 
 // Normal express config defaults
@@ -51,6 +58,11 @@ if (isProduction) {
 require("./models/User");
 require("./models/Item");
 require("./models/Comment");
+require("./models/Review");
+require("./models/Report");
+require("./models/RefreshToken");
+require("./models/Conversation");
+require("./models/Message");
 require("./config/passport");
 
 app.use(require("./routes"));
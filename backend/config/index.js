@@ -1,3 +1,69 @@
+var path = require('path');
+
+// where the API itself is reached, for links to the files it serves
+var apiUrl = process.env.API_URL || 'http://localhost:' + (process.env.PORT || 3000);
+
 module.exports = {
-  secret: process.env.NODE_ENV === 'production' ? process.env.SECRET : 'secret'
+  secret: process.env.NODE_ENV === 'production' ? process.env.SECRET : 'secret',
+  auth: {
+    // how long access tokens work, in minutes
+    accessTokenTtl: Number(process.env.ACCESS_TOKEN_TTL) || 15,
+    // how long a refresh token works when it isn't used, in days
+    refreshTokenTtl: Number(process.env.REFRESH_TOKEN_TTL) || 30
+  },
+  loginLimits: {
+    // sign in attempts from one IP address per window
+    perIp: Number(process.env.LOGIN_MAX_PER_IP) || 20,
+    // failed sign ins on one account, within a window, before it's locked
+    perAccount: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+    windowMinutes: Number(process.env.LOGIN_WINDOW_MINUTES) || 15,
+    lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+  },
+  // the proxies in front of the backend, as a number of hops or a list of
+  // addresses, see "trust proxy" in the Express docs
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY)
+    ? Number(process.env.TRUST_PROXY)
+    : process.env.TRUST_PROXY,
+  uploads: {
+    // files land under public/ so that express.static serves them
+    dir: path.join(__dirname, '..', 'public', 'uploads'),
+    urlPath: '/uploads',
+    // absolute base for returned URLs, the API's own address by default
+    publicUrl: process.env.UPLOADS_PUBLIC_URL || apiUrl,
+    maxBytes: Number(process.env.UPLOADS_MAX_BYTES) || 5 * 1024 * 1024,
+    // images are decoded in memory, so bigger ones are turned down first
+    maxPixels: Number(process.env.UPLOADS_MAX_PIXELS) || 25 * 1000 * 1000,
+    thumbnailSize: 320
+  },
+  apiUrl: apiUrl,
+  // where links in emails point to
+  appUrl: process.env.APP_URL || 'http://localhost:3001',
+  mail: {
+    // console, file or smtp, see lib/mail.js
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'Anythink Market <no-reply@anythink.market>',
+    dir: process.env.MAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail'),
+    smtpUrl: process.env.SMTP_URL
+  },
+  passwordReset: {
+    // how long a reset link works, in minutes
+    ttl: Number(process.env.PASSWORD_RESET_TTL) || 60
+  },
+  emailVerification: {
+    // how long a verification link works, in minutes
+    ttl: Number(process.env.EMAIL_VERIFICATION_TTL) || 24 * 60,
+    // whether users have to verify their email before listing items, turned
+    // off with EMAIL_VERIFICATION_REQUIRED=false e.g. to run the API tests
+    required: process.env.EMAIL_VERIFICATION_REQUIRED !== 'false'
+  },
+  comments: {
+    // how many replies deep threads go before replies are placed side by side
+    maxDepth: Number(process.env.COMMENTS_MAX_DEPTH) || 3,
+    // how long authors can edit a comment after posting it, in minutes
+    editWindow: Number(process.env.COMMENTS_EDIT_WINDOW) || 15
+  },
+  reports: {
+    // items and comments are hidden once this many users have reported them
+    hideThreshold: Number(process.env.REPORTS_HIDE_THRESHOLD) || 3
+  }
 };
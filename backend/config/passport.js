@@ -5,14 +5,38 @@ var User = mongoose.model('User');
 
 passport.use(new LocalStrategy({
   usernameField: 'user[email]',
-  passwordField: 'user[password]'
-}, function(email, password, done) {
+  passwordField: 'user[password]',
+  passReqToCallback: true
+}, function(req, email, password, done) {
   User.findOne({email: email}).then(function(user){
     if(!user || !user.validPassword(password)){
       return done(null, false, {errors: {'email or password': 'is invalid'}});
     }
 
-    return done(null, user);
+    if(user.suspended){
+      return done(null, false, {errors: {account: 'is suspended'}});
+    }
+
+    if(!user.twoFactor.enabled){
+      return done(null, user);
+    }
+
+    // the password was right, now a code from the authenticator app (or a
+    // recovery code) is needed too
+    var code = req.body.user.code;
+
+    if(!code){
+      return done(null, false, {errors: {code: 'is required'}, twoFactorRequired: true});
+    }
+
+    if(!user.verifyTwoFactor(code)){
+      return done(null, false, {errors: {code: 'is invalid'}, twoFactorRequired: true});
+    }
+
+    // saves the used up code
+    return user.save().then(function(){
+      return done(null, user);
+    });
   }).catch(done);
 }));
 
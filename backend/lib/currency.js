@@ -0,0 +1,21 @@
+// ISO 4217 codes items can be priced in. Amounts are always stored in the
+// currency's minor unit (cents for USD, yen for JPY).
+const CURRENCIES = [
+  "USD",
+  "EUR",
+  "GBP",
+  "ILS",
+  "CAD",
+  "AUD",
+  "CHF",
+  "JPY",
+  "INR",
+  "BRL"
+];
+
+const DEFAULT_CURRENCY = "USD";
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+};
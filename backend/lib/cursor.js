@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+
+// Opaque pagination cursors. A cursor marks a position in a list ordered by
+// createdAt and then _id, which together are unique and don't shift when new
+// documents are added the way skip/limit offsets do.
+
+function encodeCursor(doc) {
+  return Buffer.from(
+    JSON.stringify([doc.createdAt.getTime(), doc._id.toString()])
+  ).toString("base64url");
+}
+
+// Returns null for anything that isn't a cursor this module produced
+function decodeCursor(token) {
+  try {
+    const [time, id] = JSON.parse(
+      Buffer.from(String(token), "base64url").toString()
+    );
+    if (!Number.isInteger(time) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { createdAt: new Date(time), id: mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Reads `after`/`before` from the query string. Paging forwards with `after`
+// continues the list past the cursor, paging backwards with `before` returns
+// the page leading up to it. `errors` is set when either token is unusable.
+function parseCursors(query) {
+  const cursors = { after: null, before: null, errors: null };
+
+  ["after", "before"].forEach(function(name) {
+    if (typeof query[name] === "undefined") {
+      return;
+    }
+
+    cursors[name] = decodeCursor(query[name]);
+    if (!cursors[name]) {
+      cursors.errors = { [name]: "is invalid" };
+    }
+  });
+
+  if (!cursors.errors && cursors.after && cursors.before) {
+    cursors.errors = { before: "can't be combined with after" };
+  }
+
+  return cursors;
+}
+
+function isPaging(cursors) {
+  return !!(cursors.after || cursors.before);
+}
+
+// The filter and sort that fetch the page for `cursors` from a list in the
+// given createdAt order ("desc" or "asc"). Backwards pages are fetched in
+// reverse and flipped back by `cursorPage`.
+function cursorQuery(cursors, order) {
+  const descending = order === "desc";
+  const backwards = !!cursors.before;
+  const position = cursors.after || cursors.before;
+  const reversed = descending !== backwards;
+  const direction = reversed ? -1 : 1;
+  const op = reversed ? "$lt" : "$gt";
+
+  return {
+    filter: position
+      ? {
+          $or: [
+            { createdAt: { [op]: position.createdAt } },
+            { createdAt: position.createdAt, _id: { [op]: position.id } }
+          ]
+        }
+      : null,
+    sort: { createdAt: direction, _id: direction }
+  };
+}
+
+// Trims a page fetched with `limit + 1` documents back to `limit` and works
+// out the cursors of the neighbouring pages, null where there is none.
+function cursorPage(docs, limit, cursors) {
+  const hasMore = limit > 0 && docs.length > limit;
+  let page = hasMore ? docs.slice(0, limit) : docs;
+
+  if (cursors.before) {
+    page = page.slice().reverse();
+  }
+
+  const first = page[0];
+  const last = page[page.length - 1];
+  const hasNext = cursors.before ? page.length > 0 : hasMore;
+  const hasPrev = cursors.before ? hasMore : !!cursors.after && !!first;
+
+  return {
+    docs: page,
+    nextCursor: hasNext ? encodeCursor(last) : null,
+    prevCursor: hasPrev ? encodeCursor(first) : null
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parseCursors,
+  isPaging,
+  cursorQuery,
+  cursorPage
+};
@@ -0,0 +1,127 @@
+const config = require("../config");
+
+// Counts sign in attempts to slow down password guessing. The counts live in
+// a store, an object with three methods returning promises:
+//
+//   hit(key, windowMs)  adds one to `key` and resolves to { count, resetAt },
+//                       starting a new window of `windowMs` when the last one
+//                       is over (resetAt is a timestamp in milliseconds)
+//   get(key)            resolves to { count, resetAt } or null when over
+//   reset(key)          forgets `key`
+//
+// The default one keeps them in memory, which works for a single backend
+// process. With several, set a shared one (e.g. on Redis) with setStore.
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  const current = key => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // forget windows that are over now and then, so the map doesn't grow with
+  // every address that ever tried
+  setInterval(() => {
+    for (const key of entries.keys()) {
+      current(key);
+    }
+  }, 60 * 1000).unref();
+
+  return {
+    hit: async (key, windowMs) => {
+      const entry = current(key) || {
+        count: 0,
+        resetAt: Date.now() + windowMs
+      };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    get: async key => {
+      const entry = current(key);
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+    reset: async key => {
+      entries.delete(key);
+    }
+  };
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = createMemoryStore();
+  }
+  return store;
+}
+
+// Replaces the store, e.g. with a shared one or a fresh one in tests
+function setStore(replacement) {
+  store = replacement;
+}
+
+const minutes = count => count * 60 * 1000;
+
+const secondsUntil = timestamp =>
+  Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+// Counts an attempt to sign in to `account` from `ip`. Resolves to null when
+// it may go ahead, or to { reason, retryAfter } with reason "locked" for an
+// account locked after too many failures and "ip" for an address that tried
+// too often, and retryAfter in seconds.
+async function checkLogin(ip, account) {
+  const limits = config.loginLimits;
+  const [attempts, lock] = await Promise.all([
+    getStore().hit(`login:ip:${ip}`, minutes(limits.windowMinutes)),
+    getStore().get(`login:locked:${account}`)
+  ]);
+
+  if (lock) {
+    return { reason: "locked", retryAfter: secondsUntil(lock.resetAt) };
+  }
+
+  if (attempts.count > limits.perIp) {
+    return { reason: "ip", retryAfter: secondsUntil(attempts.resetAt) };
+  }
+
+  return null;
+}
+
+// Counts a failed attempt on `account` and locks it once there were too many.
+// Resolves to the seconds it's locked for, or 0.
+async function loginFailed(account) {
+  const limits = config.loginLimits;
+  const failures = await getStore().hit(
+    `login:failures:${account}`,
+    minutes(limits.windowMinutes)
+  );
+
+  if (failures.count < limits.perAccount) {
+    return 0;
+  }
+
+  await getStore().reset(`login:failures:${account}`);
+  const lock = await getStore().hit(
+    `login:locked:${account}`,
+    minutes(limits.lockoutMinutes)
+  );
+  return secondsUntil(lock.resetAt);
+}
+
+function loginSucceeded(account) {
+  return getStore().reset(`login:failures:${account}`);
+}
+
+module.exports = {
+  checkLogin,
+  createMemoryStore,
+  loginFailed,
+  loginSucceeded,
+  setStore
+};
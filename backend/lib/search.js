@@ -0,0 +1,84 @@
+const SNIPPET_LENGTH = 160;
+
+// Splits a free-text query into the lowercase words it is made of,
+// dropping duplicates and the punctuation MongoDB ignores anyway.
+function searchTerms(q) {
+  const terms = String(q || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  return terms.filter((term, index) => terms.indexOf(term) === index);
+}
+
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Matches words starting with one of the terms, so that "shoe" also marks
+// "shoes" the way the stemmed text index would have matched it.
+function termsPattern(terms) {
+  return new RegExp(
+    `(^|[^\\p{L}\\p{N}])((?:${terms.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*)`,
+    "giu"
+  );
+}
+
+// Wraps every occurrence of the terms in <mark> tags. The rest of the text
+// is HTML-escaped so the result can be rendered as markup.
+function highlight(text, terms) {
+  if (!text || !terms.length) {
+    return text ? escapeHTML(text) : text;
+  }
+
+  const pattern = termsPattern(terms);
+  let result = "";
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const start = match.index + match[1].length;
+    result += escapeHTML(text.slice(lastIndex, start));
+    result += `<mark>${escapeHTML(match[2])}</mark>`;
+    lastIndex = start + match[2].length;
+  }
+
+  return result + escapeHTML(text.slice(lastIndex));
+}
+
+// Cuts a window of at most `length` characters around the first matching
+// term and highlights it, adding ellipses where the text was cut.
+function snippet(text, terms, length = SNIPPET_LENGTH) {
+  if (!text) {
+    return text;
+  }
+
+  const match = terms.length ? termsPattern(terms).exec(text) : null;
+  const matchStart = match ? match.index + match[1].length : 0;
+  const start = Math.max(
+    0,
+    Math.min(matchStart - Math.floor(length / 4), text.length - length)
+  );
+  const end = Math.min(text.length, start + length);
+
+  return (
+    (start > 0 ? "…" : "") +
+    highlight(text.slice(start, end), terms) +
+    (end < text.length ? "…" : "")
+  );
+}
+
+module.exports = {
+  searchTerms,
+  highlight,
+  snippet,
+};
@@ -0,0 +1,20 @@
+const crypto = require("crypto");
+
+// Tokens handed out in emails and to clients are random strings of which only
+// a hash is stored, so a leaked database doesn't leak working tokens.
+
+function randomToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function hashToken(token) {
+  return crypto
+    .createHash("sha256")
+    .update(String(token))
+    .digest("hex");
+}
+
+module.exports = {
+  hashToken,
+  randomToken
+};
@@ -0,0 +1,103 @@
+const crypto = require("crypto");
+
+// Time-based one-time passwords (RFC 6238) as shown by authenticator apps:
+// 6 digits from an HMAC-SHA1 of the number of 30 second steps since 1970.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+
+  let text = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    text += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return text;
+}
+
+function base32Decode(text) {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid base32 character ${char}`);
+    }
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// A new random secret, base32 encoded the way authenticator apps expect it
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+// Checks `code` against the current step and one step either side, to allow
+// for clocks being a little off. Resolves to the step that matched so that
+// callers can refuse the same code twice, or null.
+function verify(secret, code, now = Date.now()) {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep(now);
+  for (const candidate of [step, step - 1, step + 1]) {
+    const expected = codeAt(secret, candidate);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// The link authenticator apps read from the QR code
+function otpauthUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  codeAt,
+  currentStep,
+  generateSecret,
+  otpauthUri,
+  verify
+};
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Jimp = require("jimp");
+const { uploads } = require("../config");
+
+// Content types we accept, mapped to the extension the file is stored with
+const IMAGE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+};
+
+function isImageType(contentType) {
+  return IMAGE_TYPES.hasOwnProperty(contentType);
+}
+
+// Reads the width and height from a PNG, GIF or JPEG header without decoding
+// the image, so that huge images can be turned down before Jimp spends the
+// memory on them. Resolves to null when the header isn't one of those.
+function imageSize(buffer) {
+  if (
+    buffer.length >= 24 &&
+    buffer.readUInt32BE(0) === 0x89504e47 &&
+    buffer.toString("ascii", 12, 16) === "IHDR"
+  ) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length >= 10 && buffer.toString("ascii", 0, 3) === "GIF") {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.length >= 4 && buffer.readUInt16BE(0) === 0xffd8) {
+    return jpegSize(buffer);
+  }
+
+  return null;
+}
+
+// JPEGs keep their size in the start of frame segment, somewhere after the
+// metadata segments
+function jpegSize(buffer) {
+  let offset = 2;
+
+  while (offset + 9 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    const isStartOfFrame =
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc;
+
+    if (isStartOfFrame) {
+      return {
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5),
+      };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+}
+
+// Decodes the uploaded bytes, so the type is checked on the content and not
+// only on what the client claimed. Resolves to null for anything else.
+async function readImage(buffer) {
+  try {
+    const image = await Jimp.read(buffer);
+    return isImageType(image.getMIME()) ? image : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Re-encodes the image (dropping EXIF data such as GPS positions) next to a
+// square thumbnail, and returns the paths both are served from.
+async function saveImage(image) {
+  const name = crypto.randomBytes(16).toString("hex");
+  const extension = IMAGE_TYPES[image.getMIME()];
+  const filename = `${name}.${extension}`;
+  const thumbnailFilename = `${name}-thumb.${extension}`;
+
+  await fs.promises.mkdir(uploads.dir, { recursive: true });
+  await image.clone().writeAsync(path.join(uploads.dir, filename));
+  await image
+    .clone()
+    .cover(uploads.thumbnailSize, uploads.thumbnailSize)
+    .writeAsync(path.join(uploads.dir, thumbnailFilename));
+
+  return {
+    path: `${uploads.urlPath}/${filename}`,
+    thumbnailPath: `${uploads.urlPath}/${thumbnailFilename}`,
+    contentType: image.getMIME(),
+    width: image.bitmap.width,
+    height: image.bitmap.height,
+  };
+}
+
+module.exports = {
+  imageSize,
+  isImageType,
+  readImage,
+  saveImage,
+};
@@ -1,22 +1,175 @@
 var mongoose = require("mongoose");
+var config = require("../config");
 
 var CommentSchema = new mongoose.Schema(
   {
     body: String,
+    // taken down by an admin
+    hidden: { type: Boolean, default: false },
+    // open reports from users, see models/Report.js
+    reportsCount: { type: Number, default: 0 },
     seller: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-    item: { type: mongoose.Schema.Types.ObjectId, ref: "Item" }
+    item: { type: mongoose.Schema.Types.ObjectId, ref: "Item" },
+    // the comment this one replies to, null for the ones starting a thread
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null
+    },
+    // every comment above this one in its thread, the first one first
+    ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: "Comment" }],
+    // set by the last edit, see edit below
+    editedAt: Date,
+    // what the comment said before each edit, the oldest first
+    revisions: [{ _id: false, body: String, createdAt: Date }]
   },
   { timestamps: true }
 );
 
+CommentSchema.index({ ancestors: 1 });
+
+// Makes this comment a reply to `parent`. Threads only nest
+// config.comments.maxDepth replies deep, replies to the deepest ones go next
+// to them instead.
+CommentSchema.methods.replyTo = function(parent) {
+  var ancestors = parent.ancestors
+    .concat([parent._id])
+    .slice(0, config.comments.maxDepth);
+
+  this.parent = ancestors[ancestors.length - 1];
+  this.ancestors = ancestors;
+};
+
+// Comments can be edited for config.comments.editWindow minutes after
+// they were posted
+CommentSchema.methods.editableUntil = function() {
+  return new Date(
+    this.createdAt.getTime() + config.comments.editWindow * 60 * 1000
+  );
+};
+
+CommentSchema.methods.isEditable = function() {
+  return this.editableUntil() > new Date();
+};
+
+// Comments can be deleted by their author, the seller of the item they are
+// on and admins
+CommentSchema.methods.canBeDeletedBy = function(user, item) {
+  var userId = user._id.toString();
+  var authorId = this.seller._id || this.seller;
+  var sellerId = item && (item.seller._id || item.seller);
+
+  return (
+    user.role === "admin" ||
+    authorId.toString() === userId ||
+    (!!sellerId && sellerId.toString() === userId)
+  );
+};
+
+// Replaces the body and keeps the one it replaces as a revision
+CommentSchema.methods.edit = function(body) {
+  this.revisions.push({
+    body: this.body,
+    createdAt: this.editedAt || this.createdAt
+  });
+  this.body = body;
+  this.editedAt = new Date();
+};
+
+// Every version of the comment, the current one last
+CommentSchema.methods.toRevisionsJSON = function() {
+  return this.revisions
+    .map(function(revision) {
+      return { body: revision.body, createdAt: revision.createdAt };
+    })
+    .concat([{ body: this.body, createdAt: this.editedAt || this.createdAt }]);
+};
+
 // Requires population of seller
 CommentSchema.methods.toJSONFor = function(user) {
   return {
     id: this._id,
     body: this.body,
     createdAt: this.createdAt,
-    seller: this.seller.toProfileJSONFor(user)
+    editedAt: this.editedAt || null,
+    editableUntil: this.editableUntil(),
+    parent: this.parent || null,
+    // null when the author's account was deleted
+    seller: this.seller ? this.seller.toProfileJSONFor(user) : null
   };
 };
 
+// Requires population of seller
+CommentSchema.methods.toThreadJSONFor = function(user) {
+  return Object.assign(this.toJSONFor(user), { replies: [], repliesCount: 0 });
+};
+
+// Resolves to `roots` as threads, each comment with its visible replies
+// oldest first. Replies to hidden comments are left out with them.
+CommentSchema.statics.threadsFor = function(roots, user) {
+  var ids = roots.map(function(root) {
+    return root._id;
+  });
+
+  return this.find({ ancestors: { $in: ids }, hidden: { $ne: true } })
+    .sort({ createdAt: "asc", _id: "asc" })
+    .populate("seller")
+    .then(function(replies) {
+      var byId = {};
+      var threads = roots.map(function(root) {
+        byId[root._id] = root.toThreadJSONFor(user);
+        return byId[root._id];
+      });
+
+      // replies come after what they reply to, so parents are always in
+      // place unless they are hidden
+      replies.forEach(function(reply) {
+        var parent = byId[reply.parent];
+        if (!parent) {
+          return;
+        }
+
+        byId[reply._id] = reply.toThreadJSONFor(user);
+        parent.replies.push(byId[reply._id]);
+        parent.repliesCount += 1;
+      });
+
+      return threads;
+    });
+};
+
+// Deletes `comment`, every reply below it and the reports on them. Resolves
+// to the ids of the deleted comments, which callers take out of the item.
+CommentSchema.statics.removeThread = function(comment) {
+  var Comment = this;
+  var Report = mongoose.model("Report");
+
+  return Comment.find({ ancestors: comment._id })
+    .select("_id")
+    .then(function(replies) {
+      var ids = [comment._id].concat(
+        replies.map(function(reply) {
+          return reply._id;
+        })
+      );
+
+      return Promise.all([
+        Comment.deleteMany({ _id: { $in: ids } }),
+        Report.deleteMany({ target: { $in: ids } })
+      ]).then(function() {
+        return ids;
+      });
+    });
+};
+
+// Requires population of seller and item
+CommentSchema.methods.toAdminJSONFor = function(user) {
+  return Object.assign(this.toJSONFor(user), {
+    hidden: this.hidden,
+    reportsCount: this.reportsCount,
+    revisions: this.toRevisionsJSON(),
+    item: this.item ? { slug: this.item.slug, title: this.item.title } : null
+  });
+};
+
 mongoose.model("Comment", CommentSchema);
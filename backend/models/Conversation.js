@@ -0,0 +1,193 @@
+var mongoose = require("mongoose");
+
+// A private conversation between a buyer and the seller of an item. Each
+// buyer has one per item.
+var ConversationSchema = new mongoose.Schema(
+  {
+    item: { type: mongoose.Schema.Types.ObjectId, ref: "Item" },
+    buyer: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // shown in the inbox, which lists the latest conversations first
+    lastMessage: {
+      body: String,
+      sender: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+    },
+    lastMessageAt: { type: Date, default: null },
+    // messages each side hasn't read yet
+    buyerUnread: { type: Number, default: 0 },
+    sellerUnread: { type: Number, default: 0 }
+  },
+  { timestamps: true }
+);
+
+ConversationSchema.index({ item: 1, buyer: 1 }, { unique: true });
+ConversationSchema.index({ buyer: 1, lastMessageAt: -1 });
+ConversationSchema.index({ seller: 1, lastMessageAt: -1 });
+
+function idOf(ref) {
+  return ref && ref._id ? ref._id : ref;
+}
+
+// "buyer" or "seller" for the users taking part, null for everyone else
+ConversationSchema.methods.roleOf = function(user) {
+  if (!user) {
+    return null;
+  }
+
+  if (idOf(this.buyer).equals(user._id)) {
+    return "buyer";
+  }
+
+  return idOf(this.seller).equals(user._id) ? "seller" : null;
+};
+
+// The conversations `user` sees in their inbox. Sellers only see the ones a
+// buyer wrote something in.
+ConversationSchema.statics.inboxFilter = function(user) {
+  return {
+    $or: [
+      { buyer: user._id },
+      { seller: user._id, lastMessageAt: { $ne: null } }
+    ]
+  };
+};
+
+// Finds the buyer's conversation about `item`, or starts one
+ConversationSchema.statics.startFor = function(item, buyer) {
+  var Conversation = this;
+  var filter = { item: item._id, buyer: buyer._id };
+
+  return Conversation.findOneAndUpdate(
+    filter,
+    { $setOnInsert: { seller: idOf(item.seller) } },
+    { upsert: true, new: true }
+  )
+    .exec()
+    .catch(function(err) {
+      // when two starts race, both may try to insert and the unique index
+      // turns one down; that one gets the conversation the other started
+      if (err.code !== 11000) {
+        throw err;
+      }
+
+      return Conversation.findOne(filter).exec();
+    });
+};
+
+// Deletes the conversations about the items with the given ids, along with
+// their messages
+ConversationSchema.statics.removeForItems = function(ids) {
+  var Message = mongoose.model("Message");
+  var Conversation = this;
+
+  return Conversation.find({ item: { $in: ids } })
+    .distinct("_id")
+    .then(function(conversationIds) {
+      return Promise.all([
+        Message.deleteMany({ conversation: { $in: conversationIds } }),
+        Conversation.deleteMany({ _id: { $in: conversationIds } })
+      ]);
+    });
+};
+
+// Stores a message from `sender` and counts it as unread for the other side.
+// Resolves to the message.
+ConversationSchema.methods.send = function(sender, body) {
+  var Message = mongoose.model("Message");
+  var conversation = this;
+  var message = new Message({
+    conversation: conversation._id,
+    sender: sender._id,
+    body: body
+  });
+  var unread =
+    conversation.roleOf(sender) === "buyer" ? "sellerUnread" : "buyerUnread";
+
+  return message.save().then(function() {
+    return conversation.constructor
+      .findByIdAndUpdate(
+        conversation._id,
+        {
+          $set: {
+            lastMessage: { body: message.body, sender: sender._id },
+            lastMessageAt: message.createdAt
+          },
+          $inc: { [unread]: 1 }
+        },
+        { new: true }
+      )
+      .exec()
+      .then(function(updated) {
+        conversation.lastMessage = updated.lastMessage;
+        conversation.lastMessageAt = updated.lastMessageAt;
+        conversation[unread] = updated[unread];
+        return message;
+      });
+  });
+};
+
+// Marks the messages `user` received in this conversation as read
+ConversationSchema.methods.markReadBy = function(user) {
+  var Message = mongoose.model("Message");
+  var role = this.roleOf(user);
+
+  this[role + "Unread"] = 0;
+
+  return Promise.all([
+    Message.updateMany(
+      { conversation: this._id, sender: { $ne: user._id }, readAt: null },
+      { readAt: new Date() }
+    ).exec(),
+    this.constructor
+      .updateOne({ _id: this._id }, { [role + "Unread"]: 0 })
+      .exec()
+  ]);
+};
+
+// Resolves to how many messages `user` hasn't read across their inbox
+ConversationSchema.statics.unreadCountFor = function(user) {
+  return this.aggregate([
+    { $match: this.inboxFilter(user) },
+    {
+      $group: {
+        _id: null,
+        count: {
+          $sum: {
+            $cond: [
+              { $eq: ["$buyer", user._id] },
+              "$buyerUnread",
+              "$sellerUnread"
+            ]
+          }
+        }
+      }
+    }
+  ]).then(function(results) {
+    return results.length ? results[0].count : 0;
+  });
+};
+
+// Requires population of item, buyer and seller
+ConversationSchema.methods.toJSONFor = function(user) {
+  var role = this.roleOf(user);
+
+  return {
+    id: this._id,
+    item: this.item
+      ? { slug: this.item.slug, title: this.item.title, image: this.item.image }
+      : null,
+    buyer: this.buyer.toProfileJSONFor(user),
+    seller: this.seller.toProfileJSONFor(user),
+    lastMessage: this.lastMessageAt
+      ? {
+          body: this.lastMessage.body,
+          mine: idOf(this.lastMessage.sender).equals(user._id)
+        }
+      : null,
+    lastMessageAt: this.lastMessageAt,
+    unreadCount: role ? this[role + "Unread"] : 0,
+    createdAt: this.createdAt
+  };
+};
+
+mongoose.model("Conversation", ConversationSchema);
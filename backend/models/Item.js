@@ -2,31 +2,152 @@ var mongoose = require("mongoose");
 var uniqueValidator = require("mongoose-unique-validator");
 var slug = require("slug");
 var User = mongoose.model("User");
+var search = require("../lib/search");
+var currency = require("../lib/currency");
+
+// Which statuses an item may move to from its current one. New items start
+// out either as a draft or published.
+var STATUS_TRANSITIONS = {
+  draft: ["published", "archived"],
+  published: ["draft", "reserved", "sold", "archived"],
+  reserved: ["published", "sold", "archived"],
+  sold: ["archived"],
+  archived: ["draft", "published"]
+};
+var INITIAL_STATUSES = ["draft", "published"];
+var MAX_IMAGES = 10;
 
 var ItemSchema = new mongoose.Schema(
   {
     slug: { type: String, lowercase: true, unique: true },
     title: {type: String, required: [true, "can't be blank"]},
     description: {type: String, required: [true, "can't be blank"]},
+    // cover image, kept equal to the first of `images` for older clients
     image: String,
+    images: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: function(images) {
+          return images.length <= MAX_IMAGES;
+        },
+        message: "can't be more than " + MAX_IMAGES
+      }
+    },
+    price: {
+      amount: {
+        type: Number,
+        cast: "must be a number",
+        min: [0, "can't be negative"],
+        validate: {
+          validator: function(amount) {
+            return amount === null || Number.isInteger(amount);
+          },
+          message: "must be a whole number of minor units"
+        }
+      },
+      currency: {
+        type: String,
+        uppercase: true,
+        default: currency.DEFAULT_CURRENCY,
+        enum: { values: currency.CURRENCIES, message: "is not supported" }
+      }
+    },
+    status: {
+      type: String,
+      enum: {
+        values: Object.keys(STATUS_TRANSITIONS),
+        message: "is not a valid status"
+      },
+      default: "published",
+      index: true
+    },
     favoritesCount: { type: Number, default: 0 },
+    // kept in step with `comments` so listings can sort by it
+    commentsCount: { type: Number, default: 0 },
     comments: [{ type: mongoose.Schema.Types.ObjectId, ref: "Comment" }],
     tagList: [{ type: String }],
+    // taken down by an admin, only the seller still sees it
+    hidden: { type: Boolean, default: false, index: true },
+    // open reports from users, see models/Report.js
+    reportsCount: { type: Number, default: 0 },
     seller: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
   },
   { timestamps: true }
 );
 
+ItemSchema.index(
+  { title: "text", description: "text", tagList: "text" },
+  { name: "ItemTextIndex", weights: { title: 10, tagList: 5, description: 1 } }
+);
+
+ItemSchema.index({ "price.amount": 1 });
+ItemSchema.index({ favoritesCount: -1, createdAt: -1 });
+ItemSchema.index({ commentsCount: -1, createdAt: -1 });
+
 ItemSchema.plugin(uniqueValidator, { message: "is already taken" });
 
+// Remember the stored status so that validation can check the transition
+ItemSchema.post("init", function() {
+  this.$locals.savedStatus = this.status;
+});
+
+ItemSchema.post("save", function() {
+  this.$locals.savedStatus = this.status;
+});
+
+ItemSchema.path("status").validate(function(status) {
+  var savedStatus = this.$locals.savedStatus;
+
+  if (!savedStatus) {
+    return INITIAL_STATUSES.indexOf(status) !== -1;
+  }
+
+  return (
+    savedStatus === status ||
+    STATUS_TRANSITIONS[savedStatus].indexOf(status) !== -1
+  );
+}, "can't be changed to {VALUE}");
+
 ItemSchema.pre("validate", function(next) {
   if (!this.slug) {
     this.slugify();
   }
 
+  this.syncCover();
+  this.commentsCount = this.comments.length;
+
   next();
 });
 
+// Deletes what refers to the items with the given ids: their comments, the
+// reports on them and on their comments, favorites, and the conversations
+// about them. Reviews stay since they rate the seller, they just no longer
+// link to the item.
+ItemSchema.statics.removeReferences = function(ids) {
+  var Comment = mongoose.model("Comment");
+  var Report = mongoose.model("Report");
+  var Conversation = mongoose.model("Conversation");
+
+  return Comment.find({ item: { $in: ids } })
+    .distinct("_id")
+    .then(function(commentIds) {
+      return Promise.all([
+        Comment.deleteMany({ _id: { $in: commentIds } }),
+        Report.deleteMany({ target: { $in: ids.concat(commentIds) } }),
+        User.updateMany(
+          { favorites: { $in: ids } },
+          { $pull: { favorites: { $in: ids } } }
+        ),
+        Conversation.removeForItems(ids)
+      ]);
+    });
+};
+
+// item.remove() cleans up after the item, see removeReferences
+ItemSchema.post("remove", function(item) {
+  return item.constructor.removeReferences([item._id]);
+});
+
 ItemSchema.methods.slugify = function() {
   this.slug =
     slug(this.title) +
@@ -34,6 +155,24 @@ ItemSchema.methods.slugify = function() {
     ((Math.random() * Math.pow(36, 6)) | 0).toString(36);
 };
 
+// Whichever of `image` and `images` was changed wins: a new gallery picks
+// its first image as cover, a new cover replaces the first gallery image.
+ItemSchema.methods.syncCover = function() {
+  var imagesChanged = this.isNew
+    ? this.images.length > 0
+    : this.isModified("images");
+
+  if (imagesChanged) {
+    this.images = this.images.filter(Boolean);
+    this.image = this.images[0];
+  } else if (this.isModified("image") && this.image) {
+    this.images = [this.image].concat(this.images.slice(1));
+  } else if (this.isModified("image")) {
+    this.images = this.images.slice(1);
+    this.image = this.images[0];
+  }
+};
+
 ItemSchema.methods.updateFavoriteCount = function() {
   var item = this;
 
@@ -44,19 +183,68 @@ ItemSchema.methods.updateFavoriteCount = function() {
   });
 };
 
+// Drafts, archived and hidden items are only visible to their seller
+ItemSchema.methods.isVisibleTo = function(user) {
+  if (!this.hidden && this.status !== "draft" && this.status !== "archived") {
+    return true;
+  }
+
+  var sellerId = this.seller._id || this.seller;
+  return !!user && sellerId.toString() === user._id.toString();
+};
+
+// Matches the items `user` (or no one when signed out) can see, for queries
+// and aggregations that can't call isVisibleTo on each item
+ItemSchema.statics.visibleFilterFor = function(user) {
+  var visible = {
+    hidden: { $ne: true },
+    status: { $nin: ["draft", "archived"] }
+  };
+
+  return user ? { $or: [visible, { seller: user._id }] } : visible;
+};
+
 ItemSchema.methods.toJSONFor = function(user) {
   return {
     slug: this.slug,
     title: this.title,
     description: this.description,
     image: this.image,
+    images: this.images.length ? this.images : [this.image].filter(Boolean),
+    price:
+      this.price && typeof this.price.amount === "number"
+        ? { amount: this.price.amount, currency: this.price.currency }
+        : null,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt,
     tagList: this.tagList,
+    status: this.status,
     favorited: user ? user.isFavorite(this._id) : false,
     favoritesCount: this.favoritesCount,
+    commentsCount: this.comments.length,
     seller: this.seller.toProfileJSONFor(user)
   };
 };
 
+ItemSchema.methods.toAdminJSONFor = function(user) {
+  return Object.assign(this.toJSONFor(user), {
+    hidden: this.hidden,
+    reportsCount: this.reportsCount
+  });
+};
+
+// Requires the textScore to be projected as `score` by the search query
+ItemSchema.methods.toSearchJSONFor = function(user, terms) {
+  return Object.assign(this.toJSONFor(user), {
+    score: this.get("score"),
+    highlights: {
+      title: search.highlight(this.title, terms),
+      description: search.snippet(this.description, terms),
+      tagList: this.tagList.map(function(tag) {
+        return search.highlight(tag, terms);
+      })
+    }
+  });
+};
+
 mongoose.model("Item", ItemSchema);
@@ -0,0 +1,33 @@
+var mongoose = require("mongoose");
+
+var MessageSchema = new mongoose.Schema(
+  {
+    conversation: { type: mongoose.Schema.Types.ObjectId, ref: "Conversation" },
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    body: {
+      type: String,
+      trim: true,
+      required: [true, "can't be blank"],
+      maxlength: [2000, "is too long"]
+    },
+    // when the other side of the conversation read it
+    readAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+// pages of a conversation, see lib/cursor.js
+MessageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+
+// Requires population of sender
+MessageSchema.methods.toJSONFor = function(user) {
+  return {
+    id: this._id,
+    body: this.body,
+    createdAt: this.createdAt,
+    readAt: this.readAt,
+    sender: this.sender.toProfileJSONFor(user)
+  };
+};
+
+mongoose.model("Message", MessageSchema);
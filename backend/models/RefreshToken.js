@@ -0,0 +1,102 @@
+var mongoose = require("mongoose");
+var config = require("../config");
+var tokens = require("../lib/tokens");
+
+var RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    hash: { type: String, unique: true },
+    // the tokens rotated from one sign in, see rotate below
+    family: { type: String, index: true },
+    expiresAt: Date,
+    revokedAt: Date
+  },
+  { timestamps: true }
+);
+
+// MongoDB deletes tokens once they have expired
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+function expiresAt() {
+  return new Date(
+    Date.now() + config.auth.refreshTokenTtl * 24 * 60 * 60 * 1000
+  );
+}
+
+// Stores a new refresh token for `user` and resolves to the token itself,
+// which the client keeps. A sign in starts a new family.
+RefreshTokenSchema.statics.issue = function(user, family) {
+  var token = tokens.randomToken();
+
+  return new this({
+    user: user._id,
+    hash: tokens.hashToken(token),
+    family: family || tokens.randomToken(),
+    expiresAt: expiresAt()
+  })
+    .save()
+    .then(function() {
+      return token;
+    });
+};
+
+// Swaps a refresh token for a new one of the same family. Each token works
+// once: when one that was already swapped comes back, it has been stolen (or
+// the client lost the new one), so the whole family stops working. Resolves
+// to {user, refreshToken}, or null when the token can't be used.
+RefreshTokenSchema.statics.rotate = function(token) {
+  var RefreshToken = this;
+  var hash = tokens.hashToken(token);
+
+  return RefreshToken.findOneAndUpdate(
+    { hash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date() }
+  )
+    .populate("user")
+    .then(function(current) {
+      if (!current) {
+        return RefreshToken.findOne({ hash: hash }).then(function(used) {
+          return used && used.revokedAt
+            ? RefreshToken.revokeFamily(used.family).then(function() {
+                return null;
+              })
+            : null;
+        });
+      }
+
+      var user = current.user;
+
+      if (!user || user.suspended) {
+        return null;
+      }
+
+      return RefreshToken.issue(user, current.family).then(function(token) {
+        return { user: user, refreshToken: token };
+      });
+    });
+};
+
+// Signs out the device holding `token`
+RefreshTokenSchema.statics.revoke = function(token) {
+  return this.updateMany(
+    { hash: tokens.hashToken(token), revokedAt: null },
+    { revokedAt: new Date() }
+  ).exec();
+};
+
+RefreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family: family, revokedAt: null },
+    { revokedAt: new Date() }
+  ).exec();
+};
+
+// Signs `user` out everywhere, once their access tokens run out
+RefreshTokenSchema.statics.revokeAll = function(user) {
+  return this.updateMany(
+    { user: user._id, revokedAt: null },
+    { revokedAt: new Date() }
+  ).exec();
+};
+
+mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -0,0 +1,102 @@
+var mongoose = require("mongoose");
+var config = require("../config");
+
+var REASONS = ["scam", "spam", "abusive", "prohibited", "other"];
+
+var ReportSchema = new mongoose.Schema(
+  {
+    reason: {
+      type: String,
+      required: [true, "can't be blank"],
+      enum: { values: REASONS, message: "is not a valid reason" }
+    },
+    details: { type: String, trim: true, maxlength: [1000, "is too long"] },
+    reporter: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // what was reported: an item, a comment or a user
+    targetModel: { type: String, enum: ["Item", "Comment", "User"] },
+    target: { type: mongoose.Schema.Types.ObjectId, refPath: "targetModel" },
+    // set once an admin has acted on the report
+    resolved: { type: Boolean, default: false }
+  },
+  { timestamps: true }
+);
+
+// Each user can report the same thing once
+ReportSchema.index({ target: 1, reporter: 1 }, { unique: true });
+
+// Files a report on `target` (an Item, Comment or User document) unless the
+// reporter already did, then counts the open reports on it and hides it once
+// there are enough. Resolves to the new report, or null for a duplicate.
+ReportSchema.statics.file = function(reporter, target, fields) {
+  var Report = this;
+
+  return Report.findOne({ target: target._id, reporter: reporter._id }).then(
+    function(existing) {
+      if (existing) {
+        return null;
+      }
+
+      var report = new Report({
+        reason: fields.reason,
+        details: fields.details,
+        reporter: reporter._id,
+        targetModel: target.constructor.modelName,
+        target: target._id
+      });
+
+      return report
+        .save()
+        .then(function() {
+          return Report.count({ target: target._id, resolved: false });
+        })
+        .then(function(count) {
+          target.reportsCount = count;
+
+          // users aren't hidden, admins decide whether to suspend them
+          if (
+            target.schema.path("hidden") &&
+            count >= config.reports.hideThreshold
+          ) {
+            target.hidden = true;
+          }
+
+          return target.save();
+        })
+        .then(
+          function() {
+            return report;
+          },
+          function(err) {
+            // a second report from the same user that raced this one
+            if (err.code === 11000) {
+              return null;
+            }
+            throw err;
+          }
+        );
+    }
+  );
+};
+
+// Marks the open reports on a target as dealt with
+ReportSchema.statics.resolve = function(target) {
+  target.reportsCount = 0;
+
+  return this.updateMany(
+    { target: target._id, resolved: false },
+    { resolved: true }
+  ).exec();
+};
+
+ReportSchema.methods.toJSONFor = function() {
+  return {
+    id: this._id,
+    reason: this.reason,
+    details: this.details,
+    createdAt: this.createdAt
+  };
+};
+
+ReportSchema.statics.REASONS = REASONS;
+
+mongoose.model("Report", ReportSchema);
@@ -0,0 +1,41 @@
+var mongoose = require("mongoose");
+
+var ReviewSchema = new mongoose.Schema(
+  {
+    rating: {
+      type: Number,
+      cast: "must be a number",
+      required: [true, "can't be blank"],
+      min: [1, "must be between 1 and 5"],
+      max: [5, "must be between 1 and 5"],
+      validate: {
+        validator: Number.isInteger,
+        message: "must be a whole number"
+      }
+    },
+    body: { type: String, trim: true, maxlength: [2000, "is too long"] },
+    reviewer: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // the item bought from the seller, if the review is about one
+    item: { type: mongoose.Schema.Types.ObjectId, ref: "Item" }
+  },
+  { timestamps: true }
+);
+
+// One review per buyer and seller, whether or not it's about an item
+ReviewSchema.index({ seller: 1, reviewer: 1 }, { unique: true });
+ReviewSchema.index({ seller: 1, createdAt: -1 });
+
+// Requires population of reviewer and item
+ReviewSchema.methods.toJSONFor = function(user) {
+  return {
+    id: this._id,
+    rating: this.rating,
+    body: this.body,
+    createdAt: this.createdAt,
+    reviewer: this.reviewer.toProfileJSONFor(user),
+    item: this.item ? { slug: this.item.slug, title: this.item.title } : null
+  };
+};
+
+mongoose.model("Review", ReviewSchema);
@@ -2,7 +2,10 @@ var mongoose = require("mongoose");
 var uniqueValidator = require("mongoose-unique-validator");
 var crypto = require("crypto");
 var jwt = require("jsonwebtoken");
-var secret = require("../config").secret;
+var config = require("../config");
+var secret = config.secret;
+var tokens = require("../lib/tokens");
+var totp = require("../lib/totp");
 
 var UserSchema = new mongoose.Schema(
   {
@@ -29,10 +32,44 @@ var UserSchema = new mongoose.Schema(
       enum: ["user", "admin"],
       default: "user"
     },
+    // set once the user follows the link emailed to their address
+    emailVerified: { type: Boolean, default: false },
+    // set by admins for sellers they have checked
+    verified: { type: Boolean, default: false },
+    // suspended users can't sign in or post anything
+    suspended: { type: Boolean, default: false },
+    // open reports from other users, see models/Report.js
+    reportsCount: { type: Number, default: 0 },
     favorites: [{ type: mongoose.Schema.Types.ObjectId, ref: "Item" }],
     following: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // aggregated from the reviews the user got as a seller
+    rating: {
+      average: { type: Number, default: null },
+      count: { type: Number, default: 0 }
+    },
     hash: String,
-    salt: String
+    salt: String,
+    // only a hash of the emailed token is kept, and only until it's used
+    passwordReset: {
+      hash: String,
+      expiresAt: Date
+    },
+    emailVerification: {
+      hash: String,
+      expiresAt: Date
+    },
+    // optional second step when signing in, with codes from an authenticator
+    // app, see lib/totp.js
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: String,
+      // set while setting it up, until the user confirms a first code
+      pendingSecret: String,
+      // hashes of the recovery codes that haven't been used yet
+      recoveryCodes: [String],
+      // the time step of the last code used, which can't be used again
+      lastStep: Number
+    }
   },
   { timestamps: true }
 );
@@ -53,10 +90,149 @@ UserSchema.methods.setPassword = function(password) {
     .toString("hex");
 };
 
+// Stores a hash of a fresh token in `field`, valid for `ttl` minutes, and
+// returns the token itself to be emailed
+function issueToken(user, field, ttl) {
+  var token = tokens.randomToken();
+
+  user[field] = {
+    hash: tokens.hashToken(token),
+    expiresAt: new Date(Date.now() + ttl * 60 * 1000)
+  };
+
+  return token;
+}
+
+// Finds the user a token in `field` belongs to and uses the token up in the
+// same step, so it works only once. Resolves to null when it's wrong or has
+// expired.
+function consumeToken(model, field, token, update) {
+  var query = {};
+  query[field + ".hash"] = tokens.hashToken(token);
+  query[field + ".expiresAt"] = { $gt: new Date() };
+
+  var unset = {};
+  unset[field] = 1;
+
+  return model.findOneAndUpdate(
+    query,
+    Object.assign({ $unset: unset }, update),
+    { new: true }
+  );
+}
+
+// Starts a password reset and returns the token to email to the user. Any
+// earlier reset token stops working.
+UserSchema.methods.createPasswordReset = function() {
+  return issueToken(this, "passwordReset", config.passwordReset.ttl);
+};
+
+// Resolves to the user a reset token belongs to, or null
+UserSchema.statics.consumePasswordReset = function(token) {
+  return consumeToken(this, "passwordReset", token);
+};
+
+// Marks the email address as unverified and returns the token to email to it.
+// Any earlier verification token stops working, so a link sent to a previous
+// address can't verify the new one.
+UserSchema.methods.createEmailVerification = function() {
+  this.emailVerified = false;
+  return issueToken(this, "emailVerification", config.emailVerification.ttl);
+};
+
+// Resolves to the user a verification token belongs to, now verified, or null
+UserSchema.statics.consumeEmailVerification = function(token) {
+  return consumeToken(this, "emailVerification", token, {
+    $set: { emailVerified: true }
+  });
+};
+
+var RECOVERY_CODES = 10;
+
+function normalizeRecoveryCode(code) {
+  return String(code)
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, "");
+}
+
+// Starts setting up two-factor sign in and returns the new secret. It only
+// takes effect once confirmed with a code from it.
+UserSchema.methods.startTwoFactor = function() {
+  this.twoFactor.pendingSecret = totp.generateSecret();
+  return this.twoFactor.pendingSecret;
+};
+
+// Turns two-factor sign in on when `code` matches the pending secret, and
+// returns the recovery codes to show the user once, or null.
+UserSchema.methods.confirmTwoFactor = function(code) {
+  var secret = this.twoFactor.pendingSecret;
+  var step = secret ? totp.verify(secret, code) : null;
+
+  if (step === null) {
+    return null;
+  }
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = secret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastStep = step;
+
+  return this.createRecoveryCodes();
+};
+
+UserSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = { enabled: false };
+};
+
+// Replaces the recovery codes and returns the new ones
+UserSchema.methods.createRecoveryCodes = function() {
+  var codes = [];
+
+  for (var i = 0; i < RECOVERY_CODES; i++) {
+    var code = crypto.randomBytes(5).toString("hex");
+    codes.push(code.slice(0, 5) + "-" + code.slice(5));
+  }
+
+  this.twoFactor.recoveryCodes = codes.map(function(code) {
+    return tokens.hashToken(normalizeRecoveryCode(code));
+  });
+
+  return codes;
+};
+
+// Checks a code from the authenticator app, or one of the recovery codes,
+// which is used up. Each code works once, so save the user after a match.
+UserSchema.methods.verifyTwoFactor = function(code) {
+  if (!this.twoFactor.enabled || !code) {
+    return false;
+  }
+
+  var step = totp.verify(this.twoFactor.secret, code);
+
+  if (step !== null) {
+    if (step <= this.twoFactor.lastStep) {
+      return false;
+    }
+
+    this.twoFactor.lastStep = step;
+    return true;
+  }
+
+  var hash = tokens.hashToken(normalizeRecoveryCode(code));
+  var index = this.twoFactor.recoveryCodes.indexOf(hash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Access tokens are short-lived, clients get new ones with the refresh token
+// from models/RefreshToken.js
 UserSchema.methods.generateJWT = function() {
-  var today = new Date();
-  var exp = new Date(today);
-  exp.setDate(today.getDate() + 60);
+  var exp = new Date(Date.now() + config.auth.accessTokenTtl * 60 * 1000);
 
   return jwt.sign(
     {
@@ -75,7 +251,10 @@ UserSchema.methods.toAuthJSON = function() {
     token: this.generateJWT(),
     bio: this.bio,
     image: this.image,
-    role: this.role
+    role: this.role,
+    verified: this.verified,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: this.twoFactor.enabled
   };
 };
 
@@ -85,10 +264,53 @@ UserSchema.methods.toProfileJSONFor = function(user) {
     bio: this.bio,
     image:
       this.image || "https://static.productionready.io/images/smiley-cyrus.jpg",
-    following: user ? user.isFollowing(this._id) : false
+    following: user ? user.isFollowing(this._id) : false,
+    verified: this.verified,
+    rating: {
+      average: this.rating.average,
+      count: this.rating.count
+    }
   };
 };
 
+UserSchema.methods.toAdminJSON = function() {
+  return {
+    username: this.username,
+    email: this.email,
+    image:
+      this.image || "https://static.productionready.io/images/smiley-cyrus.jpg",
+    role: this.role,
+    verified: this.verified,
+    emailVerified: this.emailVerified,
+    suspended: this.suspended,
+    reportsCount: this.reportsCount,
+    createdAt: this.createdAt
+  };
+};
+
+UserSchema.methods.updateRating = function() {
+  var user = this;
+
+  return mongoose
+    .model("Review")
+    .aggregate([
+      { $match: { seller: user._id } },
+      {
+        $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } }
+      }
+    ])
+    .then(function(results) {
+      var stats = results[0];
+
+      user.rating = {
+        average: stats ? Math.round(stats.average * 10) / 10 : null,
+        count: stats ? stats.count : 0
+      };
+
+      return user.save();
+    });
+};
+
 UserSchema.methods.favorite = function(id) {
   if (this.favorites.indexOf(id) === -1) {
     this.favorites = this.favorites.concat([id]);
@@ -0,0 +1,347 @@
+var router = require('express').Router();
+var mongoose = require('mongoose');
+var User = mongoose.model('User');
+var Item = mongoose.model('Item');
+var Comment = mongoose.model('Comment');
+var Review = mongoose.model('Review');
+var Report = mongoose.model('Report');
+var RefreshToken = mongoose.model('RefreshToken');
+var auth = require('../auth');
+var roles = require('../roles');
+
+// Everything here is for admins only
+router.use(auth.required, roles.admin);
+
+function escapeRegExp(text){
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A whole number from the query string kept between min and max, or the
+// fallback when it's missing or isn't a number
+function queryNumber(value, fallback, min, max){
+  var number = parseInt(value, 10);
+
+  if (isNaN(number)) { return fallback; }
+
+  return Math.min(Math.max(number, min), max);
+}
+
+// Reads limit and offset from the query string, 20 at a time by default and
+// at most 100
+function paging(query){
+  return {
+    limit: queryNumber(query.limit, 20, 1, 100),
+    offset: queryNumber(query.offset, 0, 0, Infinity)
+  };
+}
+
+// Adds `field` to the filter when the query string asks for true or false
+function flagFilter(filter, query, field){
+  if (query[field] === 'true') {
+    filter[field] = true;
+  } else if (query[field] === 'false') {
+    filter[field] = {$ne: true};
+  }
+
+  return filter;
+}
+
+// `reported=true` lists what has open reports, most reported first
+function reportedFilter(filter, query){
+  if (query.reported === 'true') {
+    filter.reportsCount = {$gt: 0};
+  }
+
+  return filter;
+}
+
+function listOrder(query){
+  return query.reported === 'true' ? {reportsCount: 'desc', createdAt: 'desc'} : {createdAt: 'desc'};
+}
+
+router.param('username', function(req, res, next, username){
+  User.findOne({username: username}).then(function(user){
+    if (!user) { return res.sendStatus(404); }
+
+    req.profile = user;
+
+    return next();
+  }).catch(next);
+});
+
+router.param('item', function(req, res, next, slug){
+  Item.findOne({slug: slug}).populate('seller').then(function(item){
+    if (!item) { return res.sendStatus(404); }
+
+    req.item = item;
+
+    return next();
+  }).catch(next);
+});
+
+router.param('comment', function(req, res, next, id){
+  if (!mongoose.Types.ObjectId.isValid(id)) { return res.sendStatus(404); }
+
+  Comment.findById(id).populate('seller').populate('item').then(function(comment){
+    if (!comment) { return res.sendStatus(404); }
+
+    req.comment = comment;
+
+    return next();
+  }).catch(next);
+});
+
+// every item, whatever its status, newest first
+router.get('/items', function(req, res, next){
+  var page = paging(req.query);
+  var query = reportedFilter(flagFilter({}, req.query, 'hidden'), req.query);
+
+  Promise.all([
+    Item.find(query)
+      .sort(listOrder(req.query))
+      .limit(page.limit)
+      .skip(page.offset)
+      .populate('seller')
+      .exec(),
+    Item.count(query).exec()
+  ]).then(function(results){
+    return res.json({
+      items: results[0].map(function(item){
+        return item.toAdminJSONFor(req.user);
+      }),
+      itemsCount: results[1]
+    });
+  }).catch(next);
+});
+
+router.put('/items/:item', function(req, res, next){
+  var fields = req.body.item || {};
+
+  if (typeof fields.hidden !== 'boolean') {
+    return res.status(422).json({errors: {hidden: 'must be true or false'}});
+  }
+
+  req.item.hidden = fields.hidden;
+
+  // hiding or unhiding deals with the reports that led here
+  return Report.resolve(req.item).then(function(){
+    return req.item.save();
+  }).then(function(){
+    return res.json({item: req.item.toAdminJSONFor(req.user)});
+  }).catch(next);
+});
+
+router.delete('/items/:item', function(req, res, next){
+  return req.item.remove().then(function(){
+    return res.sendStatus(204);
+  }).catch(next);
+});
+
+// every comment on every item, newest first
+router.get('/comments', function(req, res, next){
+  var page = paging(req.query);
+  var query = reportedFilter(flagFilter({}, req.query, 'hidden'), req.query);
+
+  Promise.all([
+    Comment.find(query)
+      .sort(listOrder(req.query))
+      .limit(page.limit)
+      .skip(page.offset)
+      .populate('seller')
+      .populate('item')
+      .exec(),
+    Comment.count(query).exec()
+  ]).then(function(results){
+    return res.json({
+      comments: results[0].map(function(comment){
+        return comment.toAdminJSONFor(req.user);
+      }),
+      commentsCount: results[1]
+    });
+  }).catch(next);
+});
+
+router.put('/comments/:comment', function(req, res, next){
+  var fields = req.body.comment || {};
+
+  if (typeof fields.hidden !== 'boolean') {
+    return res.status(422).json({errors: {hidden: 'must be true or false'}});
+  }
+
+  req.comment.hidden = fields.hidden;
+
+  return Report.resolve(req.comment).then(function(){
+    return req.comment.save();
+  }).then(function(){
+    return res.json({comment: req.comment.toAdminJSONFor(req.user)});
+  }).catch(next);
+});
+
+// deletes the replies to the comment too
+router.delete('/comments/:comment', function(req, res, next){
+  Promise.all([
+    Item.findOne({comments: req.comment._id}),
+    Comment.removeThread(req.comment)
+  ]).then(function(results){
+    var item = results[0];
+
+    if (!item) { return null; }
+
+    item.comments.pull.apply(item.comments, results[1]);
+    return item.save();
+  }).then(function(){
+    return res.sendStatus(204);
+  }).catch(next);
+});
+
+// users, newest first, optionally those whose username starts with `q`
+router.get('/users', function(req, res, next){
+  var page = paging(req.query);
+  var query = reportedFilter(flagFilter({}, req.query, 'suspended'), req.query);
+
+  if (req.query.q) {
+    query.username = new RegExp('^' + escapeRegExp(String(req.query.q).toLowerCase()));
+  }
+
+  Promise.all([
+    User.find(query)
+      .sort(listOrder(req.query))
+      .limit(page.limit)
+      .skip(page.offset)
+      .exec(),
+    User.count(query).exec()
+  ]).then(function(results){
+    return res.json({
+      users: results[0].map(function(user){
+        return user.toAdminJSON();
+      }),
+      usersCount: results[1]
+    });
+  }).catch(next);
+});
+
+// verify or suspend a user, or undo either
+router.put('/users/:username', function(req, res, next){
+  var fields = req.body.user || {};
+  var errors = {};
+
+  ['verified', 'suspended'].forEach(function(field){
+    if (typeof fields[field] !== 'undefined' && typeof fields[field] !== 'boolean') {
+      errors[field] = 'must be true or false';
+    }
+  });
+
+  if (typeof fields.verified === 'undefined' && typeof fields.suspended === 'undefined') {
+    errors.user = 'needs verified or suspended';
+  }
+
+  if (fields.suspended && req.profile._id.equals(req.user._id)) {
+    errors.suspended = "can't be set on your own account";
+  }
+
+  if (Object.keys(errors).length) {
+    return res.status(422).json({errors: errors});
+  }
+
+  if (typeof fields.verified !== 'undefined') {
+    req.profile.verified = fields.verified;
+  }
+
+  if (typeof fields.suspended !== 'undefined') {
+    req.profile.suspended = fields.suspended;
+  }
+
+  return Promise.all([
+    typeof fields.suspended !== 'undefined' ? Report.resolve(req.profile) : null,
+    // suspended users are signed out once their access token runs out
+    fields.suspended ? RefreshToken.revokeAll(req.profile) : null
+  ]).then(function(){
+    return req.profile.save();
+  }).then(function(){
+    return res.json({
+      user: req.profile.toAdminJSON(),
+      profile: req.profile.toProfileJSONFor(req.user)
+    });
+  }).catch(next);
+});
+
+// the newest sign ups, items, comments, reviews and reports, merged newest first
+router.get('/activity', function(req, res, next){
+  var limit = queryNumber(req.query.limit, 50, 1, 100);
+
+  Promise.all([
+    User.find().sort({createdAt: 'desc'}).limit(limit).exec(),
+    Item.find().sort({createdAt: 'desc'}).limit(limit).populate('seller').exec(),
+    Comment.find().sort({createdAt: 'desc'}).limit(limit)
+      .populate('seller').populate('item').exec(),
+    Review.find().sort({createdAt: 'desc'}).limit(limit)
+      .populate('reviewer').populate('seller').exec(),
+    Report.find().sort({createdAt: 'desc'}).limit(limit)
+      .populate('reporter').populate('target').exec()
+  ]).then(function(results){
+    var profile = function(user){
+      return user ? user.toProfileJSONFor(req.user) : null;
+    };
+    var itemSummary = function(item){
+      return item ? {slug: item.slug, title: item.title} : null;
+    };
+    // what a report is about, or null when it has been deleted since
+    var reportTarget = function(report){
+      var target = report.target;
+
+      if (!target) { return null; }
+
+      if (report.targetModel === 'Item') {
+        return {kind: 'item', item: itemSummary(target)};
+      }
+
+      if (report.targetModel === 'Comment') {
+        return {kind: 'comment', comment: {id: target._id, body: target.body}};
+      }
+
+      return {kind: 'user', user: profile(target)};
+    };
+
+    var activity = [].concat(
+      results[0].map(function(user){
+        return {type: 'user_registered', createdAt: user.createdAt, user: profile(user)};
+      }),
+      results[1].map(function(item){
+        return {type: 'item_created', createdAt: item.createdAt, user: profile(item.seller), item: itemSummary(item)};
+      }),
+      results[2].map(function(comment){
+        return {
+          type: 'comment_created',
+          createdAt: comment.createdAt,
+          user: profile(comment.seller),
+          item: itemSummary(comment.item),
+          comment: {id: comment._id, body: comment.body, hidden: comment.hidden}
+        };
+      }),
+      results[3].map(function(review){
+        return {
+          type: 'review_created',
+          createdAt: review.createdAt,
+          user: profile(review.reviewer),
+          seller: profile(review.seller),
+          review: {id: review._id, rating: review.rating}
+        };
+      }),
+      results[4].map(function(report){
+        return {
+          type: 'report_filed',
+          createdAt: report.createdAt,
+          user: profile(report.reporter),
+          report: report.toJSONFor(),
+          target: reportTarget(report)
+        };
+      })
+    );
+
+    activity.sort(function(a, b){ return b.createdAt - a.createdAt; });
+
+    return res.json({activity: activity.slice(0, limit)});
+  }).catch(next);
+});
+
+module.exports = router;
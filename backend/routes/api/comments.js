@@ -1,110 +1,194 @@
 /**
- * Express router providing comment-related API endpoints.
+ * Comments across items: listed by item or by author, fetched and deleted by
+ * id. Posting, editing and replying happen under /api/items/:item/comments.
  *
- * Routes:
- *  - POST /        : Create a new comment
- *  - GET  /:postId : List comments for a given post
- *  - DELETE /:id   : Delete a comment by id
- *
- * Uses the mongoose Comment model (mongoose.model("Comment")).
+ * Comments that are hidden, or on items the user can't see, are left out.
  *
  * @module routes/api/comments
  */
+const router = require("express").Router();
+const mongoose = require("mongoose");
+const Comment = mongoose.model("Comment");
+const Item = mongoose.model("Item");
+const User = mongoose.model("User");
+const auth = require("../auth");
+const { parseCursors, cursorQuery, cursorPage } = require("../../lib/cursor");
+
+// Requires population of seller and item
+const commentJSON = (comment, user) =>
+  Object.assign(comment.toJSONFor(user), {
+    item: { slug: comment.item.slug, title: comment.item.title }
+  });
+
+const currentUser = req =>
+  req.payload ? User.findById(req.payload.id) : Promise.resolve(null);
+
+const isVisibleTo = (comment, user) =>
+  !comment.hidden && !!comment.item && comment.item.isVisibleTo(user);
+
+router.param("comment", async (req, res, next, id) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.sendStatus(404);
+    }
+
+    const comment = await Comment.findById(id)
+      .populate("seller")
+      .populate("item");
+    if (!comment) {
+      return res.sendStatus(404);
+    }
+
+    req.comment = comment;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+});
 
 /**
- * Create a new comment.
- *
- * Expects a JSON body with:
- *  - text {string}   : The comment text (required)
- *  - postId {string} : The associated post's ObjectId (required)
+ * Lists comments newest first, including replies, 20 at a time unless a
+ * `limit` is given.
  *
- * Behavior:
- *  - Constructs a new Comment document and saves it to the database.
- *  - On success, responds with HTTP 201 and the saved comment JSON.
- *  - If validation or save fails, an error response (e.g., 400/500) may be returned by surrounding middleware/error handling.
+ * Query parameters, at least one of `item` and `author` is needed:
+ *  - item {string}   : slug of the item the comments are on
+ *  - author {string} : username of whoever wrote them
+ *  - after, before   : cursors from a previous page, see lib/cursor.js
  *
- * @name createComment
- * @route POST /
- * @async
- * @param {import("express").Request} req - Express request object. Body should contain { text, postId }.
- * @param {import("express").Response} res - Express response object.
- * @returns {Promise<void>} Sends HTTP 201 with the created comment JSON on success.
+ * @route GET /api/comments
  */
+router.get("/", auth.optional, async (req, res, next) => {
+  try {
+    const cursors = parseCursors(req.query);
+    if (cursors.errors) {
+      return res.status(422).json({ errors: cursors.errors });
+    }
+
+    if (!req.query.item && !req.query.author) {
+      return res
+        .status(422)
+        .json({ errors: { comments: "are listed by item or author" } });
+    }
+
+    const [user, item, author] = await Promise.all([
+      currentUser(req),
+      req.query.item ? Item.findOne({ slug: String(req.query.item) }) : null,
+      req.query.author
+        ? User.findOne({ username: String(req.query.author) })
+        : null
+    ]);
+
+    if ((req.query.item && !item) || (req.query.author && !author)) {
+      return res.sendStatus(404);
+    }
+
+    if (item && !item.isVisibleTo(user)) {
+      return res.sendStatus(404);
+    }
+
+    const filter = { hidden: { $ne: true } };
+    if (item) {
+      filter.item = item._id;
+    }
+    if (author) {
+      filter.seller = author._id;
+    }
+
+    const limit =
+      typeof req.query.limit !== "undefined" ? Number(req.query.limit) : 20;
+    const page = cursorQuery(cursors, "desc");
+    const pipeline = [
+      { $match: page.filter ? { $and: [filter, page.filter] } : filter },
+      { $sort: page.sort }
+    ];
+
+    // comments on items the user can't see are left out in the query rather
+    // than from the page, which would come back short with more to come. This
+    // also leaves out comments whose item was deleted.
+    if (!item) {
+      pipeline.push(
+        {
+          $lookup: {
+            from: Item.collection.name,
+            localField: "item",
+            foreignField: "_id",
+            as: "visibleItems"
+          }
+        },
+        {
+          $match: { visibleItems: { $elemMatch: Item.visibleFilterFor(user) } }
+        },
+        { $project: { visibleItems: 0 } }
+      );
+    }
+    if (limit > 0) {
+      pipeline.push({ $limit: limit + 1 });
+    }
+
+    const comments = await Comment.populate(
+      (await Comment.aggregate(pipeline)).map(doc => Comment.hydrate(doc)),
+      [{ path: "seller" }, { path: "item" }]
+    );
+    const paged = cursorPage(comments, limit, cursors);
+
+    return res.json({
+      comments: paged.docs.map(comment => commentJSON(comment, user)),
+      nextCursor: paged.nextCursor,
+      prevCursor: paged.prevCursor
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
 
 /**
- * Get comments for a specific post.
+ * Returns one comment.
  *
- * Path parameters:
- *  - postId {string} : The ObjectId of the post to query comments for.
- *
- * Behavior:
- *  - Finds all Comment documents with the provided postId.
- *  - Responds with HTTP 200 and an array of matching comments (may be empty).
- *  - If postId is malformed or a database error occurs, an error response (e.g., 400/500) may be returned by surrounding middleware/error handling.
- *
- * @name getCommentsByPost
- * @route GET /:postId
- * @async
- * @param {import("express").Request} req - Express request object. Params should include { postId }.
- * @param {import("express").Response} res - Express response object.
- * @returns {Promise<void>} Sends HTTP 200 with an array of comments.
+ * @route GET /api/comments/:comment
  */
+router.get("/:comment", auth.optional, async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+
+    if (!isVisibleTo(req.comment, user)) {
+      return res.sendStatus(404);
+    }
+
+    return res.json({ comment: commentJSON(req.comment, user) });
+  } catch (err) {
+    return next(err);
+  }
+});
 
 /**
- * Delete a comment by id.
+ * Deletes a comment and the replies to it. Open to its author, the seller of
+ * the item it's on and admins.
  *
- * Path parameters:
- *  - id {string} : The ObjectId of the comment to delete.
- *
- * Behavior:
- *  - Validates that the provided id is a valid MongoDB ObjectId.
- *    - If invalid, responds with HTTP 400 and an error message.
- *  - Attempts to find and delete the Comment document by id.
- *    - If no document is found, responds with HTTP 404 and an error message.
- *    - If deletion succeeds, responds with HTTP 204 (No Content).
- *  - On unexpected errors, responds with HTTP 500 and an error message.
- *
- * @name deleteComment
- * @route DELETE /:id
- * @async
- * @param {import("express").Request} req - Express request object. Params should include { id }.
- * @param {import("express").Response} res - Express response object.
- * @returns {Promise<void>} Sends HTTP 204 on success, or 400/404/500 with a JSON error object.
+ * @route DELETE /api/comments/:comment
  */
-const router = require("express").Router();
-const mongoose = require("mongoose");
-const Comment = mongoose.model("Comment");
+router.delete("/:comment", auth.required, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.payload.id);
+    if (!user) {
+      return res.sendStatus(401);
+    }
 
-module.exports = router;
+    const item = req.comment.item;
+    if (!req.comment.canBeDeletedBy(user, item)) {
+      return res.sendStatus(403);
+    }
 
-// Hey GitHub Copilot, can you help me add a new comment endpoint?
-router.post("/", async (req, res) => {
-  const { text, postId } = req.body;
-  const comment = new Comment({ text, postId });
-  await comment.save();
-  res.status(201).json(comment);
-});
+    const ids = await Comment.removeThread(req.comment);
+    if (item) {
+      item.comments.pull(...ids);
+      await item.save();
+    }
 
-router.get("/:postId", async (req, res) => {
-  const { postId } = req.params;
-  const comments = await Comment.find({ postId });
-  res.status(200).json(comments);
+    return res.sendStatus(204);
+  } catch (err) {
+    return next(err);
+  }
 });
 
-router.delete("/:id", async (req, res) => {
-    try {
-        const { id } = req.params;
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({ error: "Invalid comment id" });
-        }
-
-        const deleted = await Comment.findByIdAndDelete(id);
-        if (!deleted) {
-            return res.status(404).json({ error: "Comment not found" });
-        }
-
-        return res.sendStatus(204);
-    } catch (err) {
-        return res.status(500).json({ error: err.message || "Internal server error" });
-    }
-});
\ No newline at end of file
+module.exports = router;
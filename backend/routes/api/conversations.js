@@ -0,0 +1,238 @@
+/**
+ * Private conversations between buyers and sellers about an item. Only the
+ * two users taking part can see a conversation or write in it.
+ *
+ * @module routes/api/conversations
+ */
+const router = require("express").Router();
+const mongoose = require("mongoose");
+const Conversation = mongoose.model("Conversation");
+const Message = mongoose.model("Message");
+const Item = mongoose.model("Item");
+const User = mongoose.model("User");
+const auth = require("../auth");
+const { parseCursors, cursorQuery, cursorPage } = require("../../lib/cursor");
+
+// Everything here is for signed in users
+router.use(auth.required, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.payload.id);
+    if (!user) {
+      return res.sendStatus(401);
+    }
+
+    req.user = user;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+});
+
+const populated = conversation =>
+  conversation
+    .populate("item")
+    .populate("buyer")
+    .populate("seller");
+
+router.param("conversation", async (req, res, next, id) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.sendStatus(404);
+    }
+
+    const conversation = await populated(Conversation.findById(id));
+    if (!conversation) {
+      return res.sendStatus(404);
+    }
+
+    if (!conversation.roleOf(req.user)) {
+      return res.sendStatus(403);
+    }
+
+    req.conversation = conversation;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Starts a conversation with the seller of an item, or returns the one the
+ * user already has about it. Sends `body` as a message when given.
+ *
+ * @route POST /api/conversations
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const fields = req.body.conversation || {};
+
+    if (req.user.suspended) {
+      return res.sendStatus(403);
+    }
+
+    const item = fields.item
+      ? await Item.findOne({ slug: String(fields.item) })
+      : null;
+
+    if (!item || !item.isVisibleTo(req.user)) {
+      return res.status(422).json({ errors: { item: "doesn't exist" } });
+    }
+
+    if (item.seller.equals(req.user._id)) {
+      return res.status(422).json({ errors: { item: "is your own" } });
+    }
+
+    // a message that can't be sent mustn't leave an empty conversation behind
+    if (fields.body) {
+      await new Message({ body: fields.body }).validate();
+    }
+
+    const started = await Conversation.startFor(item, req.user);
+    const conversation = await populated(Conversation.findById(started._id));
+
+    if (fields.body) {
+      await conversation.send(req.user, fields.body);
+    }
+
+    return res.json({ conversation: conversation.toJSONFor(req.user) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Lists the user's conversations, latest message first, 20 at a time by
+ * default. Takes `limit` and `offset`.
+ *
+ * @route GET /api/conversations
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const limit =
+      typeof req.query.limit !== "undefined" ? Number(req.query.limit) : 20;
+    const offset =
+      typeof req.query.offset !== "undefined" ? Number(req.query.offset) : 0;
+    const filter = Conversation.inboxFilter(req.user);
+
+    const [conversations, conversationsCount] = await Promise.all([
+      populated(
+        Conversation.find(filter)
+          .sort({ lastMessageAt: "desc", updatedAt: "desc" })
+          .limit(limit)
+          .skip(offset)
+      ),
+      Conversation.countDocuments(filter)
+    ]);
+
+    return res.json({
+      conversations: conversations.map(conversation =>
+        conversation.toJSONFor(req.user)
+      ),
+      conversationsCount
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * How many messages the user hasn't read yet, across all conversations.
+ *
+ * @route GET /api/conversations/unread
+ */
+router.get("/unread", async (req, res, next) => {
+  try {
+    const unreadCount = await Conversation.unreadCountFor(req.user);
+
+    return res.json({ unreadCount });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.get("/:conversation", (req, res) =>
+  res.json({ conversation: req.conversation.toJSONFor(req.user) })
+);
+
+/**
+ * Returns the messages newest first, 20 at a time unless a `limit` is given,
+ * with `after`/`before` cursors for older and newer pages.
+ *
+ * @route GET /api/conversations/:conversation/messages
+ */
+router.get("/:conversation/messages", async (req, res, next) => {
+  try {
+    const cursors = parseCursors(req.query);
+    if (cursors.errors) {
+      return res.status(422).json({ errors: cursors.errors });
+    }
+
+    const limit =
+      typeof req.query.limit !== "undefined" ? Number(req.query.limit) : 20;
+    const page = cursorQuery(cursors, "desc");
+    const query = Message.find({ conversation: req.conversation._id })
+      .sort(page.sort)
+      .limit(limit > 0 ? limit + 1 : 0)
+      .populate("sender");
+
+    if (page.filter) {
+      query.and([page.filter]);
+    }
+
+    const paged = cursorPage(await query.exec(), limit, cursors);
+
+    return res.json({
+      messages: paged.docs.map(message => message.toJSONFor(req.user)),
+      nextCursor: paged.nextCursor,
+      prevCursor: paged.prevCursor
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Sends a message to the other side of the conversation.
+ *
+ * @route POST /api/conversations/:conversation/messages
+ */
+router.post("/:conversation/messages", async (req, res, next) => {
+  try {
+    const fields = req.body.message || {};
+
+    if (req.user.suspended) {
+      return res.sendStatus(403);
+    }
+
+    const message = await req.conversation.send(req.user, fields.body);
+    message.sender = req.user;
+
+    return res.json({ message: message.toJSONFor(req.user) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Marks the messages the user got in the conversation as read. Returns the
+ * conversation and how many unread messages are left across the others.
+ *
+ * @route POST /api/conversations/:conversation/read
+ */
+router.post("/:conversation/read", async (req, res, next) => {
+  try {
+    await req.conversation.markReadBy(req.user);
+    const unreadCount = await Conversation.unreadCountFor(req.user);
+
+    return res.json({
+      conversation: req.conversation.toJSONFor(req.user),
+      unreadCount
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,10 @@ router.use('/profiles', require('./profiles'));
 router.use('/items', require('./items'));
 router.use('/tags', require('./tags'));
 router.use('/comments', require('./comments'));
+router.use('/conversations', require('./conversations'));
+router.use('/uploads', require('./uploads'));
 router.use('/ping', require('./ping'));
+router.use('/admin', require('./admin'));
 
 router.use(function(err, req, res, next){
   if(err.name === 'ValidationError'){
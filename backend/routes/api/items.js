@@ -3,8 +3,50 @@ var mongoose = require("mongoose");
 var Item = mongoose.model("Item");
 var Comment = mongoose.model("Comment");
 var User = mongoose.model("User");
+var Report = mongoose.model("Report");
 var auth = require("../auth");
+var config = require("../../config");
 const { sendEvent } = require("../../lib/event");
+const { searchTerms } = require("../../lib/search");
+const {
+  parseCursors,
+  isPaging,
+  cursorQuery,
+  cursorPage
+} = require("../../lib/cursor");
+
+var SORT_ORDERS = {
+  newest: { createdAt: "desc" },
+  oldest: { createdAt: "asc" },
+  most_favorited: { favoritesCount: "desc", createdAt: "desc" },
+  most_commented: { commentsCount: "desc", createdAt: "desc" },
+  price_asc: { "price.amount": "asc", createdAt: "desc" },
+  price_desc: { "price.amount": "desc", createdAt: "desc" },
+  relevance: { score: { $meta: "textScore" }, createdAt: "desc" }
+};
+
+// Sort orders that can be paged through with after/before cursors, and in
+// which createdAt direction
+var CURSOR_ORDERS = {
+  newest: "desc",
+  oldest: "asc"
+};
+
+// Listing returns the items still on the market unless asked otherwise.
+// Items saved before statuses existed have none and count as published.
+var ACTIVE_STATUSES = ["draft", "published", "reserved"];
+var PRIVATE_STATUSES = ["draft", "archived"];
+
+function statusFilter(statuses) {
+  return {
+    $in:
+      statuses.indexOf("published") !== -1 ? statuses.concat([null]) : statuses
+  };
+}
+
+function isMinorUnits(value) {
+  return /^\d+$/.test(value);
+}
 
 // Preload item objects on routes with ':item'
 router.param("item", function(req, res, next, slug) {
@@ -40,6 +82,9 @@ router.get("/", auth.optional, function(req, res, next) {
   var query = {};
   var limit = 100;
   var offset = 0;
+  var terms = searchTerms(req.query.q);
+  var sort = req.query.sort;
+  var cursors = parseCursors(req.query);
 
   if (typeof req.query.limit !== "undefined") {
     limit = req.query.limit;
@@ -53,13 +98,102 @@ router.get("/", auth.optional, function(req, res, next) {
     query.tagList = { $in: [req.query.tag] };
   }
 
+  var statuses = ACTIVE_STATUSES;
+  if (typeof req.query.status !== "undefined") {
+    statuses = String(req.query.status).split(",");
+
+    if (
+      !statuses.every(function(status) {
+        return Item.schema.path("status").enumValues.indexOf(status) !== -1;
+      })
+    ) {
+      return res.status(422).json({ errors: { status: "is invalid" } });
+    }
+  }
+
+  query.status = statusFilter(statuses);
+  query.hidden = { $ne: true };
+
+  // drafts and archived items are only listed to their own seller
+  query.$or = [{ status: { $nin: PRIVATE_STATUSES } }];
+  if (req.payload) {
+    query.$or.push({ seller: req.payload.id });
+  }
+
+  if (typeof sort !== "undefined" && !SORT_ORDERS.hasOwnProperty(sort)) {
+    return res.status(422).json({ errors: { sort: "is invalid" } });
+  }
+
+  if (sort === "relevance" && !terms.length) {
+    return res.status(422).json({ errors: { sort: "needs a search query" } });
+  }
+
+  // searches are ranked by relevance and everything else is newest first,
+  // unless asked otherwise
+  sort = sort || (terms.length ? "relevance" : "newest");
+
+  if (cursors.errors) {
+    return res.status(422).json({ errors: cursors.errors });
+  }
+
+  var cursorOrder = CURSOR_ORDERS[sort];
+  if (isPaging(cursors) && !cursorOrder) {
+    return res.status(422).json({
+      errors: {
+        [cursors.after ? "after" : "before"]: "can't be used with this sort"
+      }
+    });
+  }
+
+  // price bounds are inclusive and given in minor units, like the stored amount
+  if (
+    typeof req.query.minPrice !== "undefined" &&
+    !isMinorUnits(req.query.minPrice)
+  ) {
+    return res.status(422).json({ errors: { minPrice: "is invalid" } });
+  }
+
+  if (
+    typeof req.query.maxPrice !== "undefined" &&
+    !isMinorUnits(req.query.maxPrice)
+  ) {
+    return res.status(422).json({ errors: { maxPrice: "is invalid" } });
+  }
+
+  if (
+    typeof req.query.minPrice !== "undefined" ||
+    typeof req.query.maxPrice !== "undefined"
+  ) {
+    query["price.amount"] = {};
+
+    if (typeof req.query.minPrice !== "undefined") {
+      query["price.amount"].$gte = Number(req.query.minPrice);
+    }
+
+    if (typeof req.query.maxPrice !== "undefined") {
+      query["price.amount"].$lte = Number(req.query.maxPrice);
+    }
+  }
+
+  if (typeof req.query.currency !== "undefined") {
+    query["price.currency"] = String(req.query.currency).toUpperCase();
+    query["price.amount"] = query["price.amount"] || { $ne: null };
+  }
+
+  // full-text search over title, description and tags, ranked by relevance
+  if (terms.length) {
+    query.$text = { $search: terms.join(" ") };
+  }
+
   Promise.all([
     req.query.seller ? User.findOne({ username: req.query.seller }) : null,
-    req.query.favorited ? User.findOne({ username: req.query.favorited }) : null
+    req.query.favorited ? User.findOne({ username: req.query.favorited }) : null,
+    req.payload ? User.findById(req.payload.id) : null
   ])
     .then(function(results) {
       var seller = results[0];
       var favoriter = results[1];
+      var user = results[2];
 
       if (seller) {
         query.seller = seller._id;
@@ -71,28 +205,47 @@ router.get("/", auth.optional, function(req, res, next) {
         query._id = { $in: [] };
       }
 
-      return Promise.all([
-        Item.find(query)
-          .limit(Number(limit))
-          .skip(Number(offset))
-          .sort({ createdAt: "desc" })
-          .exec(),
-        Item.count(query).exec(),
-        req.payload ? User.findById(req.payload.id) : null
-      ]).then(async function(results) {
-        var items = results[0];
-        var itemsCount = results[1];
-        var user = results[2];
-        return res.json({
-          items: await Promise.all(
-            items.map(async function(item) {
-              item.seller = await User.findById(item.seller);
-              return item.toJSONFor(user);
-            })
-          ),
-          itemsCount: itemsCount
-        });
-      });
+      // sellers are populated with a single batched query for the whole page
+      var itemsQuery = Item.find(query)
+        .limit(Number(limit))
+        .skip(Number(offset))
+        .populate("seller");
+
+      if (terms.length) {
+        itemsQuery.select({ score: { $meta: "textScore" } });
+      }
+
+      if (cursorOrder) {
+        var page = cursorQuery(cursors, cursorOrder);
+        if (page.filter) {
+          itemsQuery.and([page.filter]);
+        }
+        // one extra item tells whether there is a next page
+        itemsQuery.sort(page.sort).limit(limit > 0 ? Number(limit) + 1 : 0);
+      } else {
+        itemsQuery.sort(SORT_ORDERS[sort]);
+      }
+
+      return Promise.all([itemsQuery.exec(), Item.count(query).exec()]).then(
+        function(results) {
+          var items = results[0];
+          var itemsCount = results[1];
+          var paged = cursorOrder
+            ? cursorPage(items, Number(limit), cursors)
+            : { docs: items, nextCursor: null, prevCursor: null };
+
+          return res.json({
+            items: paged.docs.map(function(item) {
+              return terms.length
+                ? item.toSearchJSONFor(user, terms)
+                : item.toJSONFor(user);
+            }),
+            itemsCount: itemsCount,
+            nextCursor: paged.nextCursor,
+            prevCursor: paged.prevCursor
+          });
+        }
+      );
     })
     .catch(next);
 });
@@ -109,32 +262,51 @@ router.get("/feed", auth.required, function(req, res, next) {
     offset = req.query.offset;
   }
 
-  User.findById(req.payload.id).then(function(user) {
-    if (!user) {
-      return res.sendStatus(401);
-    }
+  var cursors = parseCursors(req.query);
+  if (cursors.errors) {
+    return res.status(422).json({ errors: cursors.errors });
+  }
 
-    Promise.all([
-      Item.find({ seller: { $in: user.following } })
-        .limit(Number(limit))
+  User.findById(req.payload.id)
+    .then(function(user) {
+      if (!user) {
+        return res.sendStatus(401);
+      }
+
+      var query = {
+        seller: { $in: user.following },
+        status: statusFilter(["published", "reserved"]),
+        hidden: { $ne: true }
+      };
+      // oldest first, the order the feed had before it could be paged
+      var page = cursorQuery(cursors, "asc");
+      var itemsQuery = Item.find(query)
+        .limit(limit > 0 ? Number(limit) + 1 : 0)
         .skip(Number(offset))
-        .populate("seller")
-        .exec(),
-      Item.count({ seller: { $in: user.following } })
-    ])
-      .then(function(results) {
-        var items = results[0];
+        .sort(page.sort)
+        .populate("seller");
+
+      if (page.filter) {
+        itemsQuery.and([page.filter]);
+      }
+
+      return Promise.all([itemsQuery.exec(), Item.count(query)]).then(function(
+        results
+      ) {
+        var paged = cursorPage(results[0], Number(limit), cursors);
         var itemsCount = results[1];
 
         return res.json({
-          items: items.map(function(item) {
+          items: paged.docs.map(function(item) {
             return item.toJSONFor(user);
           }),
-          itemsCount: itemsCount
+          itemsCount: itemsCount,
+          nextCursor: paged.nextCursor,
+          prevCursor: paged.prevCursor
         });
-      })
-      .catch(next);
-  });
+      });
+    })
+    .catch(next);
 });
 
 router.post("/", auth.required, function(req, res, next) {
@@ -144,6 +316,21 @@ router.post("/", auth.required, function(req, res, next) {
         return res.sendStatus(401);
       }
 
+      if (user.suspended) {
+        return res.sendStatus(403);
+      }
+
+      if (config.emailVerification.required && !user.emailVerified) {
+        return res.status(403).json({
+          errors: { email: "must be verified before listing items" }
+        });
+      }
+
+      var price = req.body.item.price;
+      if (typeof price !== "undefined" && typeof price !== "object") {
+        return res.status(422).json({ errors: { price: "is invalid" } });
+      }
+
       var item = new Item(req.body.item);
 
       item.seller = user;
@@ -165,6 +352,10 @@ router.get("/:item", auth.optional, function(req, res, next) {
     .then(function(results) {
       var user = results[0];
 
+      if (!req.item.isVisibleTo(user)) {
+        return res.sendStatus(404);
+      }
+
       return res.json({ item: req.item.toJSONFor(user) });
     })
     .catch(next);
@@ -172,34 +363,66 @@ router.get("/:item", auth.optional, function(req, res, next) {
 
 // update item
 router.put("/:item", auth.required, function(req, res, next) {
-  User.findById(req.payload.id).then(function(user) {
-    if (req.item.seller._id.toString() === req.payload.id.toString()) {
-      if (typeof req.body.item.title !== "undefined") {
-        req.item.title = req.body.item.title;
+  User.findById(req.payload.id)
+    .then(function(user) {
+      if (!user) {
+        return res.sendStatus(401);
       }
 
-      if (typeof req.body.item.description !== "undefined") {
-        req.item.description = req.body.item.description;
+      if (user.suspended) {
+        return res.sendStatus(403);
       }
 
-      if (typeof req.body.item.image !== "undefined") {
-        req.item.image = req.body.item.image;
-      }
+      if (req.item.seller._id.toString() === req.payload.id.toString()) {
+        if (typeof req.body.item.title !== "undefined") {
+          req.item.title = req.body.item.title;
+        }
+
+        if (typeof req.body.item.description !== "undefined") {
+          req.item.description = req.body.item.description;
+        }
+
+        if (typeof req.body.item.image !== "undefined") {
+          req.item.image = req.body.item.image;
+        }
+
+        if (typeof req.body.item.images !== "undefined") {
+          req.item.images = req.body.item.images;
+        }
+
+        if (req.body.item.price === null) {
+          req.item.price.amount = undefined;
+        } else if (typeof req.body.item.price === "object") {
+          if (typeof req.body.item.price.amount !== "undefined") {
+            req.item.price.amount = req.body.item.price.amount;
+          }
 
-      if (typeof req.body.item.tagList !== "undefined") {
-        req.item.tagList = req.body.item.tagList;
+          if (typeof req.body.item.price.currency !== "undefined") {
+            req.item.price.currency = req.body.item.price.currency;
+          }
+        } else if (typeof req.body.item.price !== "undefined") {
+          return res.status(422).json({ errors: { price: "is invalid" } });
+        }
+
+        if (typeof req.body.item.tagList !== "undefined") {
+          req.item.tagList = req.body.item.tagList;
+        }
+
+        if (typeof req.body.item.status !== "undefined") {
+          req.item.status = req.body.item.status;
+        }
+
+        req.item
+          .save()
+          .then(function(item) {
+            return res.json({ item: item.toJSONFor(user) });
+          })
+          .catch(next);
+      } else {
+        return res.sendStatus(403);
       }
-
-      req.item
-        .save()
-        .then(function(item) {
-          return res.json({ item: item.toJSONFor(user) });
-        })
-        .catch(next);
-    } else {
-      return res.sendStatus(403);
-    }
-  });
+    })
+    .catch(next);
 });
 
 // delete item
@@ -210,6 +433,10 @@ router.delete("/:item", auth.required, function(req, res, next) {
         return res.sendStatus(401);
       }
 
+      if (user.suspended) {
+        return res.sendStatus(403);
+      }
+
       if (req.item.seller._id.toString() === req.payload.id.toString()) {
         return req.item.remove().then(function() {
           return res.sendStatus(204);
@@ -231,6 +458,10 @@ router.post("/:item/favorite", auth.required, function(req, res, next) {
         return res.sendStatus(401);
       }
 
+      if (!req.item.isVisibleTo(user)) {
+        return res.sendStatus(404);
+      }
+
       return user.favorite(itemId).then(function() {
         return req.item.updateFavoriteCount().then(function(item) {
           return res.json({ item: item.toJSONFor(user) });
@@ -250,6 +481,10 @@ router.delete("/:item/favorite", auth.required, function(req, res, next) {
         return res.sendStatus(401);
       }
 
+      if (!req.item.isVisibleTo(user)) {
+        return res.sendStatus(404);
+      }
+
       return user.unfavorite(itemId).then(function() {
         return req.item.updateFavoriteCount().then(function(item) {
           return res.json({ item: item.toJSONFor(user) });
@@ -259,73 +494,281 @@ router.delete("/:item/favorite", auth.required, function(req, res, next) {
     .catch(next);
 });
 
-// return an item's comments
-router.get("/:item/comments", auth.optional, function(req, res, next) {
-  Promise.resolve(req.payload ? User.findById(req.payload.id) : null)
+// report an item to the admins, once per user
+router.post("/:item/report", auth.required, function(req, res, next) {
+  User.findById(req.payload.id)
     .then(function(user) {
-      return req.item
-        .populate({
-          path: "comments",
-          populate: {
-            path: "seller"
-          },
-          options: {
-            sort: {
-              createdAt: "desc"
-            }
-          }
-        })
-        .execPopulate()
-        .then(function(item) {
-          return res.json({
-            comments: req.item.comments.map(function(comment) {
-              return comment.toJSONFor(user);
-            })
-          });
+      if (!user) {
+        return res.sendStatus(401);
+      }
+
+      if (!req.item.isVisibleTo(user)) {
+        return res.sendStatus(404);
+      }
+
+      if (req.item.seller._id.equals(user._id)) {
+        return res
+          .status(422)
+          .json({ errors: { item: "can't be reported by its seller" } });
+      }
+
+      return Report.file(user, req.item, req.body.report || {}).then(function(
+        report
+      ) {
+        if (!report) {
+          return res
+            .status(422)
+            .json({ errors: { report: "was already filed by you" } });
+        }
+
+        return res.json({ report: report.toJSONFor() });
+      });
+    })
+    .catch(next);
+});
+
+// return an item's comment threads, all of them unless a limit or cursor is
+// given, which page through the comments starting a thread
+router.get("/:item/comments", auth.optional, function(req, res, next) {
+  var limit = 0;
+  var cursors = parseCursors(req.query);
+
+  if (cursors.errors) {
+    return res.status(422).json({ errors: cursors.errors });
+  }
+
+  if (typeof req.query.limit !== "undefined") {
+    limit = req.query.limit;
+  }
+
+  var page = cursorQuery(cursors, "desc");
+  var commentsQuery = Comment.find({
+    _id: { $in: req.item.comments },
+    parent: null,
+    hidden: { $ne: true }
+  })
+    .limit(limit > 0 ? Number(limit) + 1 : 0)
+    .sort(page.sort)
+    .populate("seller");
+
+  if (page.filter) {
+    commentsQuery.and([page.filter]);
+  }
+
+  Promise.all([
+    commentsQuery.exec(),
+    req.payload ? User.findById(req.payload.id) : null
+  ])
+    .then(function(results) {
+      var user = results[1];
+
+      if (!req.item.isVisibleTo(user)) {
+        return res.sendStatus(404);
+      }
+
+      var paged = cursorPage(results[0], Number(limit), cursors);
+
+      return Comment.threadsFor(paged.docs, user).then(function(threads) {
+        return res.json({
+          comments: threads,
+          nextCursor: paged.nextCursor,
+          prevCursor: paged.prevCursor
         });
+      });
     })
     .catch(next);
 });
 
-// create a new comment
+// the visible comment on the item that a reply is for
+function findParent(item, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return Promise.resolve(null);
+  }
+
+  return Comment.findOne({ _id: id, item: item._id, hidden: { $ne: true } });
+}
+
+// create a new comment, or a reply to the one given as `parent`
 router.post("/:item/comments", auth.required, function(req, res, next) {
-  User.findById(req.payload.id)
-    .then(function(user) {
+  var fields = req.body.comment || {};
+
+  Promise.all([
+    User.findById(req.payload.id),
+    fields.parent ? findParent(req.item, String(fields.parent)) : null
+  ])
+    .then(function(results) {
+      var user = results[0];
+      var parent = results[1];
+
       if (!user) {
         return res.sendStatus(401);
       }
 
-      var comment = new Comment(req.body.comment);
+      if (user.suspended) {
+        return res.sendStatus(403);
+      }
+
+      if (!req.item.isVisibleTo(user)) {
+        return res.sendStatus(404);
+      }
+
+      if (fields.parent && !parent) {
+        return res
+          .status(422)
+          .json({ errors: { parent: "is not a comment on this item" } });
+      }
+
+      var comment = new Comment({ body: fields.body });
       comment.item = req.item;
       comment.seller = user;
 
+      if (parent) {
+        comment.replyTo(parent);
+      }
+
       return comment.save().then(function() {
         req.item.comments = req.item.comments.concat([comment]);
 
         return req.item.save().then(function(item) {
-          res.json({ comment: comment.toJSONFor(user) });
+          res.json({ comment: comment.toThreadJSONFor(user) });
         });
       });
     })
     .catch(next);
 });
 
+// edit a comment, for its author and only for a while after posting it
+router.put("/:item/comments/:comment", auth.required, function(req, res, next) {
+  var fields = req.body.comment || {};
+
+  if (!req.comment.item || !req.comment.item.equals(req.item._id)) {
+    return res.sendStatus(404);
+  }
+
+  User.findById(req.payload.id)
+    .then(function(user) {
+      if (!user) {
+        return res.sendStatus(401);
+      }
+
+      if (user.suspended || !req.comment.seller.equals(user._id)) {
+        return res.sendStatus(403);
+      }
+
+      if (!req.comment.isEditable()) {
+        return res.status(422).json({
+          errors: {
+            comment:
+              "can only be edited for " +
+              config.comments.editWindow +
+              " minutes after posting"
+          }
+        });
+      }
+
+      if (typeof fields.body !== "string" || !fields.body.trim()) {
+        return res.status(422).json({ errors: { body: "can't be blank" } });
+      }
+
+      if (fields.body !== req.comment.body) {
+        req.comment.edit(fields.body);
+      }
+
+      return req.comment.save().then(function() {
+        req.comment.seller = user;
+
+        return res.json({ comment: req.comment.toJSONFor(user) });
+      });
+    })
+    .catch(next);
+});
+
+// every version of a comment, the current one last
+router.get("/:item/comments/:comment/revisions", auth.optional, function(
+  req,
+  res,
+  next
+) {
+  if (
+    !req.comment.item ||
+    !req.comment.item.equals(req.item._id) ||
+    req.comment.hidden
+  ) {
+    return res.sendStatus(404);
+  }
+
+  return res.json({ revisions: req.comment.toRevisionsJSON() });
+});
+
+// delete a comment along with the replies to it, see
+// Comment.canBeDeletedBy for who may
 router.delete("/:item/comments/:comment", auth.required, function(
   req,
   res,
   next
 ) {
-  req.item.comments.remove(req.comment._id);
-  req.item
-    .save()
-    .then(
-      Comment.find({ _id: req.comment._id })
-        .remove()
-        .exec()
-    )
-    .then(function() {
-      res.sendStatus(204);
-    });
+  if (!req.comment.item || !req.comment.item.equals(req.item._id)) {
+    return res.sendStatus(404);
+  }
+
+  User.findById(req.payload.id)
+    .then(function(user) {
+      if (!user) {
+        return res.sendStatus(401);
+      }
+
+      if (!req.comment.canBeDeletedBy(user, req.item)) {
+        return res.sendStatus(403);
+      }
+
+      return Comment.removeThread(req.comment)
+        .then(function(ids) {
+          req.item.comments.pull.apply(req.item.comments, ids);
+
+          return req.item.save();
+        })
+        .then(function() {
+          res.sendStatus(204);
+        });
+    })
+    .catch(next);
+});
+
+// report a comment to the admins, once per user
+router.post("/:item/comments/:comment/report", auth.required, function(
+  req,
+  res,
+  next
+) {
+  if (!req.comment.item || !req.comment.item.equals(req.item._id)) {
+    return res.sendStatus(404);
+  }
+
+  User.findById(req.payload.id)
+    .then(function(user) {
+      if (!user) {
+        return res.sendStatus(401);
+      }
+
+      if (req.comment.seller.equals(user._id)) {
+        return res
+          .status(422)
+          .json({ errors: { comment: "can't be reported by its author" } });
+      }
+
+      return Report.file(user, req.comment, req.body.report || {}).then(
+        function(report) {
+          if (!report) {
+            return res
+              .status(422)
+              .json({ errors: { report: "was already filed by you" } });
+          }
+
+          return res.json({ report: report.toJSONFor() });
+        }
+      );
+    })
+    .catch(next);
 });
 
 module.exports = router;
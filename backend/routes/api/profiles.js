@@ -1,6 +1,9 @@
 var router = require('express').Router();
 var mongoose = require('mongoose');
 var User = mongoose.model('User');
+var Item = mongoose.model('Item');
+var Review = mongoose.model('Review');
+var Report = mongoose.model('Report');
 var auth = require('../auth');
 
 // Preload user profile on routes with ':username'
@@ -50,4 +53,142 @@ router.delete('/:username/follow', auth.required, function(req, res, next){
   }).catch(next);
 });
 
+router.param('review', function(req, res, next, id){
+  if (!mongoose.Types.ObjectId.isValid(id)) { return res.sendStatus(404); }
+
+  Review.findOne({_id: id, seller: req.profile._id}).then(function(review){
+    if (!review) { return res.sendStatus(404); }
+
+    req.review = review;
+
+    return next();
+  }).catch(next);
+});
+
+// list the reviews a seller got, newest first
+router.get('/:username/reviews', auth.optional, function(req, res, next){
+  var limit = 20;
+  var offset = 0;
+  var query = {seller: req.profile._id};
+
+  if(typeof req.query.limit !== 'undefined'){
+    limit = req.query.limit;
+  }
+
+  if(typeof req.query.offset !== 'undefined'){
+    offset = req.query.offset;
+  }
+
+  Promise.all([
+    Review.find(query)
+      .sort({createdAt: 'desc'})
+      .limit(Number(limit))
+      .skip(Number(offset))
+      .populate('reviewer')
+      .populate('item')
+      .exec(),
+    Review.count(query).exec(),
+    req.payload ? User.findById(req.payload.id) : null
+  ]).then(function(results){
+    var reviews = results[0];
+    var reviewsCount = results[1];
+    var user = results[2];
+
+    return res.json({
+      reviews: reviews.map(function(review){
+        return review.toJSONFor(user);
+      }),
+      reviewsCount: reviewsCount
+    });
+  }).catch(next);
+});
+
+// review a seller, optionally for one of their items (given by slug)
+router.post('/:username/reviews', auth.required, function(req, res, next){
+  var fields = req.body.review || {};
+
+  Promise.all([
+    User.findById(req.payload.id),
+    fields.item ? Item.findOne({slug: String(fields.item)}) : null
+  ]).then(function(results){
+    var user = results[0];
+    var item = results[1];
+
+    if (!user) { return res.sendStatus(401); }
+
+    if (user.suspended) { return res.sendStatus(403); }
+
+    if (user._id.equals(req.profile._id)) {
+      return res.status(422).json({errors: {seller: "can't be reviewed by themselves"}});
+    }
+
+    if (fields.item && (!item || !item.seller.equals(req.profile._id) || !item.isVisibleTo(user))) {
+      return res.status(422).json({errors: {item: 'is not sold by this seller'}});
+    }
+
+    // one review per reviewer and seller, so that nobody can sway a
+    // seller's rating by reviewing each of their items
+    return Review.findOne({
+      seller: req.profile._id,
+      reviewer: user._id
+    }).then(function(existing){
+      if (existing) {
+        return res.status(422).json({errors: {review: 'was already written for this seller'}});
+      }
+
+      var review = new Review({
+        rating: fields.rating,
+        body: fields.body,
+        reviewer: user,
+        seller: req.profile,
+        item: item
+      });
+
+      return review.save().then(function(){
+        return req.profile.updateRating();
+      }).then(function(){
+        return res.json({
+          review: review.toJSONFor(user),
+          profile: req.profile.toProfileJSONFor(user)
+        });
+      });
+    });
+  }).catch(next);
+});
+
+router.delete('/:username/reviews/:review', auth.required, function(req, res, next){
+  User.findById(req.payload.id).then(function(user){
+    if (!user) { return res.sendStatus(401); }
+
+    if (!req.review.reviewer.equals(user._id)) {
+      return res.sendStatus(403);
+    }
+
+    return req.review.remove().then(function(){
+      return req.profile.updateRating();
+    }).then(function(){
+      return res.json({profile: req.profile.toProfileJSONFor(user)});
+    });
+  }).catch(next);
+});
+
+// report a user to the admins, once per reporter
+router.post('/:username/report', auth.required, function(req, res, next){
+  User.findById(req.payload.id).then(function(user){
+    if (!user) { return res.sendStatus(401); }
+
+    if (user._id.equals(req.profile._id)) {
+      return res.status(422).json({errors: {user: "can't report themselves"}});
+    }
+
+    return Report.file(user, req.profile, req.body.report || {}).then(function(report){
+      if (!report) {
+        return res.status(422).json({errors: {report: 'was already filed by you'}});
+      }
+
+      return res.json({report: report.toJSONFor()});
+    });
+  }).catch(next);
+});
+
 module.exports = router;
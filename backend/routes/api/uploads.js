@@ -0,0 +1,95 @@
+const router = require("express").Router();
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const auth = require("../auth");
+const { uploads } = require("../../config");
+const {
+  imageSize,
+  isImageType,
+  readImage,
+  saveImage,
+} = require("../../lib/uploads");
+
+const User = mongoose.model("User");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: uploads.maxBytes, files: 1 },
+  fileFilter: (req, file, done) => done(null, isImageType(file.mimetype)),
+}).single("image");
+
+// Runs multer and turns its limit errors into the usual 422 responses
+function receiveImage(req, res, next) {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message =
+        err.code === "LIMIT_FILE_SIZE"
+          ? `is larger than ${Math.floor(uploads.maxBytes / 1024 / 1024)} MB`
+          : "is invalid";
+      return res.status(422).json({ errors: { image: message } });
+    }
+
+    return next(err);
+  });
+}
+
+function publicUrl(urlPath) {
+  return `${uploads.publicUrl}${urlPath}`;
+}
+
+router.post(
+  "/",
+  auth.required,
+  receiveImage,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.payload.id);
+    if (!user) {
+      return res.sendStatus(401);
+    }
+
+    if (user.suspended) {
+      return res.sendStatus(403);
+    }
+
+    if (!req.file) {
+      return res
+        .status(422)
+        .json({ errors: { image: "must be a JPEG, PNG or GIF file" } });
+    }
+
+    const size = imageSize(req.file.buffer);
+    if (!size) {
+      return res
+        .status(422)
+        .json({ errors: { image: "is not a valid image" } });
+    }
+
+    if (size.width * size.height > uploads.maxPixels) {
+      return res.status(422).json({
+        errors: {
+          image: `is larger than ${uploads.maxPixels / 1000000} megapixels`,
+        },
+      });
+    }
+
+    const image = await readImage(req.file.buffer);
+    if (!image) {
+      return res.status(422).json({ errors: { image: "is not a valid image" } });
+    }
+
+    const saved = await saveImage(image);
+
+    return res.status(201).json({
+      upload: {
+        url: publicUrl(saved.path),
+        thumbnailUrl: publicUrl(saved.thumbnailPath),
+        contentType: saved.contentType,
+        width: saved.width,
+        height: saved.height,
+      },
+    });
+  })
+);
+
+module.exports = router;
@@ -2,8 +2,47 @@ var mongoose = require("mongoose");
 var router = require("express").Router();
 var passport = require("passport");
 var User = mongoose.model("User");
+var RefreshToken = mongoose.model("RefreshToken");
 var auth = require("../auth");
+var config = require("../../config");
 const { sendEvent } = require("../../lib/event");
+const { sendMail } = require("../../lib/mail");
+const { otpauthUri } = require("../../lib/totp");
+const QRCode = require("qrcode");
+const rateLimit = require("../../lib/rateLimit");
+
+// emails the link that confirms `user` owns their address; failures are only
+// logged since the user can ask for another one
+function sendEmailVerification(user, token) {
+  var link = config.appUrl + "/verify-email?token=" + encodeURIComponent(token);
+
+  return sendMail({
+    to: user.email,
+    subject: "Confirm your Anythink Market email address",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Please confirm this is your email address by opening this link:",
+      "",
+      link,
+      "",
+      "You can list items for sale once it's confirmed. If you didn't sign up",
+      "for Anythink Market, you can ignore this email."
+    ].join("\n")
+  }).catch(function(err) {
+    console.error("failed to send email verification", err);
+  });
+}
+
+// The response for a new sign in: the user with a short-lived access token,
+// plus a refresh token to get new ones with
+function signIn(user) {
+  return RefreshToken.issue(user).then(function(refreshToken) {
+    return {
+      user: Object.assign(user.toAuthJSON(), { refreshToken: refreshToken })
+    };
+  });
+}
 
 router.get("/user", auth.required, function(req, res, next) {
   User.findById(req.payload.id)
@@ -37,38 +76,115 @@ router.put("/user", auth.required, function(req, res, next) {
       if (typeof req.body.user.image !== "undefined") {
         user.image = req.body.user.image;
       }
-      if (typeof req.body.user.password !== "undefined") {
+      var passwordChanged = typeof req.body.user.password !== "undefined";
+      if (passwordChanged) {
         user.setPassword(req.body.user.password);
       }
 
-      return user.save().then(function() {
-        return res.json({ user: user.toAuthJSON() });
-      });
+      // a new address has to be confirmed again
+      var token = user.isModified("email")
+        ? user.createEmailVerification()
+        : null;
+
+      return user
+        .save()
+        .then(function() {
+          if (token) {
+            sendEmailVerification(user, token);
+          }
+
+          // a new password signs out every other device, and this one gets
+          // a new session in place of the revoked one
+          return passwordChanged
+            ? RefreshToken.revokeAll(user).then(function() {
+                return signIn(user);
+              })
+            : { user: user.toAuthJSON() };
+        })
+        .then(function(body) {
+          return res.json(body);
+        });
     })
     .catch(next);
 });
 
-router.post("/users/login", function(req, res, next) {
-  if (!req.body.user.email) {
-    return res.status(422).json({ errors: { email: "can't be blank" } });
-  }
+function minutesText(seconds) {
+  var count = Math.ceil(seconds / 60);
+  return count === 1 ? "1 minute" : count + " minutes";
+}
 
-  if (!req.body.user.password) {
-    return res.status(422).json({ errors: { password: "can't be blank" } });
-  }
+// Answers 429 with how long to wait, see lib/rateLimit.js
+function tooManyLogins(res, reason, retryAfter) {
+  var wait = "try again in " + minutesText(retryAfter);
+  var errors =
+    reason === "locked"
+      ? { account: "is locked after too many failed sign ins, " + wait }
+      : { login: "was tried too many times, " + wait };
 
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ errors: errors, retryAfter: retryAfter });
+}
+
+// Checks the email and password (and two-factor code) with passport, counting
+// failures against the account
+function authenticate(req, res, next, account) {
   passport.authenticate("local", { session: false }, function(err, user, info) {
     if (err) {
       return next(err);
     }
 
     if (user) {
-      user.token = user.generateJWT();
-      return res.json({ user: user.toAuthJSON() });
-    } else {
+      return rateLimit
+        .loginSucceeded(account)
+        .then(function() {
+          return signIn(user);
+        })
+        .then(function(body) {
+          return res.json(body);
+        })
+        .catch(next);
+    }
+
+    // asking for the two-factor code after the right password isn't a
+    // failure, a wrong code is
+    if (info.twoFactorRequired && !req.body.user.code) {
       return res.status(422).json(info);
     }
+
+    return rateLimit
+      .loginFailed(account)
+      .then(function(lockedFor) {
+        if (lockedFor) {
+          return tooManyLogins(res, "locked", lockedFor);
+        }
+
+        return res.status(422).json(info);
+      })
+      .catch(next);
   })(req, res, next);
+}
+
+router.post("/users/login", function(req, res, next) {
+  if (!req.body.user.email) {
+    return res.status(422).json({ errors: { email: "can't be blank" } });
+  }
+
+  if (!req.body.user.password) {
+    return res.status(422).json({ errors: { password: "can't be blank" } });
+  }
+
+  var account = String(req.body.user.email).toLowerCase();
+
+  rateLimit
+    .checkLogin(req.ip, account)
+    .then(function(limited) {
+      if (limited) {
+        return tooManyLogins(res, limited.reason, limited.retryAfter);
+      }
+
+      return authenticate(req, res, next, account);
+    })
+    .catch(next);
 });
 
 router.post("/users", function(req, res, next) {
@@ -78,13 +194,341 @@ router.post("/users", function(req, res, next) {
   user.email = req.body.user.email;
   user.setPassword(req.body.user.password);
 
+  var token = user.createEmailVerification();
+
   user
     .save()
     .then(function() {
       sendEvent('user_created', { username: req.body.user.username })
-      return res.json({ user: user.toAuthJSON() });
+      sendEmailVerification(user, token);
+      return signIn(user);
+    })
+    .then(function(body) {
+      return res.json(body);
     })
     .catch(next);
 });
 
+// email a password reset link, without telling whether the address has an
+// account
+router.post("/users/password-reset", function(req, res, next) {
+  var email = req.body.user && req.body.user.email;
+
+  if (!email) {
+    return res.status(422).json({ errors: { email: "can't be blank" } });
+  }
+
+  User.findOne({ email: String(email).toLowerCase() })
+    .then(function(user) {
+      if (!user) {
+        return res.sendStatus(204);
+      }
+
+      var token = user.createPasswordReset();
+
+      return user.save().then(function() {
+        var link =
+          config.appUrl + "/reset-password?token=" + encodeURIComponent(token);
+
+        return sendMail({
+          to: user.email,
+          subject: "Reset your Anythink Market password",
+          text: [
+            `Hi ${user.username},`,
+            "",
+            "Someone asked to reset the password for your account. If it was",
+            `you, choose a new password within ${config.passwordReset.ttl} minutes:`,
+            "",
+            link,
+            "",
+            "If it wasn't you, you can ignore this email."
+          ].join("\n")
+        })
+          .catch(function(err) {
+            console.error("failed to send password reset email", err);
+          })
+          .then(function() {
+            return res.sendStatus(204);
+          });
+      });
+    })
+    .catch(next);
+});
+
+// set a new password with the token from the email and sign in, unless the
+// user has two-factor sign in, who then signs in with the new password and a
+// code as usual
+router.post("/users/password-reset/confirm", function(req, res, next) {
+  var fields = req.body.user || {};
+
+  if (!fields.token) {
+    return res.status(422).json({ errors: { token: "can't be blank" } });
+  }
+
+  if (!fields.password) {
+    return res.status(422).json({ errors: { password: "can't be blank" } });
+  }
+
+  User.consumePasswordReset(String(fields.token))
+    .then(function(user) {
+      if (!user) {
+        return res
+          .status(422)
+          .json({ errors: { token: "is invalid or has expired" } });
+      }
+
+      if (user.suspended) {
+        return res.status(422).json({ errors: { account: "is suspended" } });
+      }
+
+      user.setPassword(fields.password);
+
+      // whoever knew the old password is signed out
+      return Promise.all([user.save(), RefreshToken.revokeAll(user)])
+        .then(function() {
+          return user.twoFactor.enabled
+            ? { twoFactorRequired: true }
+            : signIn(user);
+        })
+        .then(function(body) {
+          return res.json(body);
+        });
+    })
+    .catch(next);
+});
+
+// send the signed in user another verification link
+router.post("/users/email-verification", auth.required, function(req, res, next) {
+  User.findById(req.payload.id)
+    .then(function(user) {
+      if (!user) {
+        return res.sendStatus(401);
+      }
+
+      if (user.emailVerified) {
+        return res
+          .status(422)
+          .json({ errors: { email: "is already verified" } });
+      }
+
+      var token = user.createEmailVerification();
+
+      return user.save().then(function() {
+        return sendEmailVerification(user, token).then(function() {
+          return res.sendStatus(204);
+        });
+      });
+    })
+    .catch(next);
+});
+
+// confirm an email address with the token from the email. Works signed out
+// too, as the link may be opened on another device.
+router.post("/users/email-verification/confirm", function(req, res, next) {
+  var token = req.body.user && req.body.user.token;
+
+  if (!token) {
+    return res.status(422).json({ errors: { token: "can't be blank" } });
+  }
+
+  User.consumeEmailVerification(String(token))
+    .then(function(user) {
+      if (!user) {
+        return res
+          .status(422)
+          .json({ errors: { token: "is invalid or has expired" } });
+      }
+
+      return res.json({
+        user: {
+          username: user.username,
+          email: user.email,
+          emailVerified: user.emailVerified
+        }
+      });
+    })
+    .catch(next);
+});
+
+// swap a refresh token for a new access token and refresh token
+router.post("/users/refresh", function(req, res, next) {
+  var refreshToken = req.body.user && req.body.user.refreshToken;
+
+  if (!refreshToken) {
+    return res.status(422).json({ errors: { refreshToken: "can't be blank" } });
+  }
+
+  RefreshToken.rotate(String(refreshToken))
+    .then(function(session) {
+      if (!session) {
+        return res
+          .status(401)
+          .json({ errors: { refreshToken: "is invalid or has expired" } });
+      }
+
+      return res.json({
+        user: Object.assign(session.user.toAuthJSON(), {
+          refreshToken: session.refreshToken
+        })
+      });
+    })
+    .catch(next);
+});
+
+// sign out this device, the access token it has runs out on its own
+router.post("/users/logout", function(req, res, next) {
+  var refreshToken = req.body.user && req.body.user.refreshToken;
+
+  if (!refreshToken) {
+    return res.status(422).json({ errors: { refreshToken: "can't be blank" } });
+  }
+
+  RefreshToken.revoke(String(refreshToken))
+    .then(function() {
+      return res.sendStatus(204);
+    })
+    .catch(next);
+});
+
+// sign out every device the user is signed in on
+router.delete("/user/sessions", auth.required, function(req, res, next) {
+  User.findById(req.payload.id)
+    .then(function(user) {
+      if (!user) {
+        return res.sendStatus(401);
+      }
+
+      return RefreshToken.revokeAll(user).then(function() {
+        return res.sendStatus(204);
+      });
+    })
+    .catch(next);
+});
+
+// the code from the authenticator app (or a recovery code) in the request
+function twoFactorCode(req) {
+  return req.body.twoFactor && req.body.twoFactor.code;
+}
+
+// start setting up two-factor sign in: the secret, as a link and QR code for
+// authenticator apps
+router.post("/user/two-factor", auth.required, function(req, res, next) {
+  User.findById(req.payload.id)
+    .then(function(user) {
+      if (!user) {
+        return res.sendStatus(401);
+      }
+
+      if (user.twoFactor.enabled) {
+        return res
+          .status(422)
+          .json({ errors: { twoFactor: "is already enabled" } });
+      }
+
+      var secret = user.startTwoFactor();
+      var uri = otpauthUri(secret, user.email, "Anythink Market");
+
+      return Promise.all([user.save(), QRCode.toDataURL(uri)]).then(
+        function(results) {
+          return res.json({
+            twoFactor: { secret: secret, uri: uri, qrCode: results[1] }
+          });
+        }
+      );
+    })
+    .catch(next);
+});
+
+// finish setting it up with a first code, which returns the recovery codes
+router.post("/user/two-factor/confirm", auth.required, function(req, res, next) {
+  var code = twoFactorCode(req);
+
+  if (!code) {
+    return res.status(422).json({ errors: { code: "can't be blank" } });
+  }
+
+  User.findById(req.payload.id)
+    .then(function(user) {
+      if (!user) {
+        return res.sendStatus(401);
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        return res
+          .status(422)
+          .json({ errors: { twoFactor: "hasn't been set up" } });
+      }
+
+      var recoveryCodes = user.confirmTwoFactor(code);
+
+      if (!recoveryCodes) {
+        return res.status(422).json({ errors: { code: "is invalid" } });
+      }
+
+      return user.save().then(function() {
+        return res.json({
+          user: user.toAuthJSON(),
+          recoveryCodes: recoveryCodes
+        });
+      });
+    })
+    .catch(next);
+});
+
+// the rest need a current code, so a stolen access token isn't enough
+function withTwoFactorCode(handler) {
+  return function(req, res, next) {
+    var code = twoFactorCode(req);
+
+    if (!code) {
+      return res.status(422).json({ errors: { code: "can't be blank" } });
+    }
+
+    User.findById(req.payload.id)
+      .then(function(user) {
+        if (!user) {
+          return res.sendStatus(401);
+        }
+
+        if (!user.twoFactor.enabled) {
+          return res
+            .status(422)
+            .json({ errors: { twoFactor: "isn't enabled" } });
+        }
+
+        if (!user.verifyTwoFactor(code)) {
+          return res.status(422).json({ errors: { code: "is invalid" } });
+        }
+
+        return handler(user, res);
+      })
+      .catch(next);
+  };
+}
+
+router.post(
+  "/user/two-factor/disable",
+  auth.required,
+  withTwoFactorCode(function(user, res) {
+    user.disableTwoFactor();
+
+    return user.save().then(function() {
+      return res.json({ user: user.toAuthJSON() });
+    });
+  })
+);
+
+// replace the recovery codes, e.g. when most are used up
+router.post(
+  "/user/two-factor/recovery-codes",
+  auth.required,
+  withTwoFactorCode(function(user, res) {
+    var recoveryCodes = user.createRecoveryCodes();
+
+    return user.save().then(function() {
+      return res.json({ recoveryCodes: recoveryCodes });
+    });
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,24 @@
+var mongoose = require('mongoose');
+var User = mongoose.model('User');
+
+// Lets a request through only when the signed in user has the given role,
+// and keeps the loaded user in req.user. Goes after auth.required.
+function requireRole(role){
+  return function(req, res, next){
+    User.findById(req.payload.id).then(function(user){
+      if (!user) { return res.sendStatus(401); }
+
+      if (user.role !== role) { return res.sendStatus(403); }
+
+      req.user = user;
+
+      return next();
+    }).catch(next);
+  };
+}
+
+var roles = {
+  admin: requireRole('admin')
+};
+
+module.exports = roles;
@@ -0,0 +1,217 @@
+// Measures how long item listing takes with a large catalogue.
+//
+//   yarn benchmark [--items 5000] [--sellers 200] [--limit 1000] [--runs 10]
+//
+// Inserts throwaway sellers and items into the database from MONGODB_URI,
+// then times loading one page of items with their sellers the old way (one
+// User.findById per item) and the current way (one batched populate), and
+// finally the whole GET /api/items request. Everything it inserted is removed
+// again at the end, but prefer pointing it at a scratch database.
+require("dotenv").config();
+const http = require("http");
+const express = require("express");
+const bodyParser = require("body-parser");
+const mongoose = require("mongoose");
+
+require("../models/User");
+require("../models/Item");
+require("../models/Comment");
+require("../models/Review");
+require("../models/Report");
+require("../models/RefreshToken");
+require("../models/Conversation");
+require("../models/Message");
+
+const User = mongoose.model("User");
+const Item = mongoose.model("Item");
+
+const DEFAULTS = { items: 5000, sellers: 200, limit: 1000, runs: 10 };
+const TAG = `benchmark-${Date.now().toString(36)}`;
+
+const parseArgs = (argv) => {
+  const options = { ...DEFAULTS };
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+    if (!(name in DEFAULTS)) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+
+    const value = Number(argv[++i]);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`--${name} must be a positive whole number`);
+    }
+    options[name] = value;
+  }
+
+  return options;
+};
+
+const insertCatalogue = async (options) => {
+  const sellers = await User.insertMany(
+    Array.from({ length: options.sellers }, (_, i) => ({
+      username: `${TAG.replace(/-/g, "")}s${i}`,
+      email: `${TAG}-${i}@anythink.example`,
+    }))
+  );
+
+  const now = Date.now();
+  await Item.insertMany(
+    Array.from({ length: options.items }, (_, i) => ({
+      slug: `${TAG}-${i}`,
+      title: `Benchmark item ${i}`,
+      description: "Generated by the item listing benchmark.",
+      tagList: [TAG],
+      price: { amount: (i % 500) * 100 + 99, currency: "USD" },
+      status: "published",
+      seller: sellers[i % sellers.length]._id,
+      createdAt: new Date(now - i * 1000),
+    }))
+  );
+
+  return sellers;
+};
+
+const removeCatalogue = () =>
+  Promise.all([
+    Item.deleteMany({ tagList: TAG }),
+    User.deleteMany({ email: new RegExp(`^${TAG}-`) }),
+  ]);
+
+const pageQuery = (limit) =>
+  Item.find({ tagList: { $in: [TAG] } })
+    .sort({ createdAt: "desc" })
+    .limit(limit);
+
+// What GET /api/items used to do
+const loadWithLookups = async (limit) => {
+  const items = await pageQuery(limit).exec();
+  await Promise.all(
+    items.map(async (item) => {
+      item.seller = await User.findById(item.seller);
+      return item.toJSONFor(null);
+    })
+  );
+};
+
+const loadWithPopulate = async (limit) => {
+  const items = await pageQuery(limit).populate("seller").exec();
+  items.map((item) => item.toJSONFor(null));
+};
+
+const startServer = () => {
+  const app = express();
+  app.use(bodyParser.json());
+  app.use(require("../routes"));
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+};
+
+const fetchItems = (port, limit) =>
+  new Promise((resolve, reject) => {
+    const url = `http://127.0.0.1:${port}/api/items?tag=${TAG}&limit=${limit}`;
+    http
+      .get(url, (res) => {
+        res.resume();
+        res.on("end", () =>
+          res.statusCode === 200
+            ? resolve()
+            : reject(new Error(`GET ${url} returned ${res.statusCode}`))
+        );
+      })
+      .on("error", reject);
+  });
+
+const time = async (runs, fn) => {
+  // the first run warms up connections and caches and is not counted
+  await fn();
+
+  const durations = [];
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    await fn();
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  durations.sort((a, b) => a - b);
+  return {
+    median: durations[Math.floor(durations.length / 2)],
+    p95: durations[Math.min(durations.length - 1, Math.ceil(runs * 0.95) - 1)],
+  };
+};
+
+const report = (label, result) => {
+  console.log(
+    `${label.padEnd(32)} median ${result.median.toFixed(1).padStart(8)} ms` +
+      `   p95 ${result.p95.toFixed(1).padStart(8)} ms`
+  );
+};
+
+const benchmark = async (options) => {
+  console.log(
+    `Inserting ${options.items} items from ${options.sellers} sellers...`
+  );
+  await insertCatalogue(options);
+
+  let server;
+  try {
+    console.log(`Loading ${options.limit} items, ${options.runs} runs each\n`);
+    const before = await time(options.runs, () =>
+      loadWithLookups(options.limit)
+    );
+    report("before: findById per item", before);
+
+    const after = await time(options.runs, () =>
+      loadWithPopulate(options.limit)
+    );
+    report("after: batched populate", after);
+
+    server = await startServer();
+    const port = server.address().port;
+    report(
+      "GET /api/items",
+      await time(options.runs, () => fetchItems(port, options.limit))
+    );
+
+    console.log(
+      `\nBatched loading is ${(before.median / after.median).toFixed(1)}x faster`
+    );
+  } finally {
+    if (server) {
+      server.close();
+    }
+    await removeCatalogue();
+  }
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.log(
+      "Usage: yarn benchmark [--items N] [--sellers N] [--limit N] [--runs N]"
+    );
+    process.exit(1);
+  }
+
+  if (!process.env.MONGODB_URI) {
+    console.error("Missing MONGODB_URI in env, please add it to your .env file");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await benchmark(options);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,205 @@
+// Finds and repairs references left behind by deleted items and comments.
+//
+//   yarn repair-orphans [--dry-run]
+//
+// Deleting an item cleans up after it (see Item.removeReferences), but items
+// deleted before that, or while the cleanup failed, left comments, favorites,
+// reports and conversations pointing at nothing. This deletes those comments,
+// reports and conversations (with their messages) and messages whose
+// conversation is gone, takes missing items out of favorites and missing
+// comments out of items.
+// With --dry-run it only counts what it would repair.
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+require("../models/User");
+require("../models/Item");
+require("../models/Comment");
+require("../models/Review");
+require("../models/Report");
+require("../models/RefreshToken");
+require("../models/Conversation");
+require("../models/Message");
+
+const User = mongoose.model("User");
+const Item = mongoose.model("Item");
+const Comment = mongoose.model("Comment");
+const Report = mongoose.model("Report");
+const Conversation = mongoose.model("Conversation");
+const Message = mongoose.model("Message");
+
+const usage = () => {
+  console.log("Usage: yarn repair-orphans [--dry-run]");
+};
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false };
+
+  for (const arg of argv) {
+    if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--help") {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+// The ones among `ids` that `Model` has no document for, each once
+const missingIds = async (Model, ids) => {
+  const unique = new Map();
+  ids.filter(Boolean).forEach((id) => unique.set(String(id), id));
+
+  const existing = await Model.find({
+    _id: { $in: [...unique.values()] },
+  }).distinct("_id");
+  existing.forEach((id) => unique.delete(String(id)));
+
+  return [...unique.values()];
+};
+
+// Conversations about items that are gone, along with their messages
+const repairConversations = async (dryRun) => {
+  const missing = await missingIds(Item, await Conversation.distinct("item"));
+  const count = await Conversation.countDocuments({ item: { $in: missing } });
+
+  if (count && !dryRun) {
+    await Conversation.removeForItems(missing);
+  }
+  return count;
+};
+
+// Messages in conversations that don't exist any more
+const repairMessages = async (dryRun) => {
+  const missing = await missingIds(
+    Conversation,
+    await Message.distinct("conversation")
+  );
+  const filter = { conversation: { $in: missing } };
+  const count = await Message.countDocuments(filter);
+
+  if (!dryRun) {
+    await Message.deleteMany(filter);
+  }
+  return count;
+};
+
+// Comments, favorites and reports on items that are gone
+const repairItemReferences = async (dryRun) => {
+  const referenced = [
+    ...(await Comment.distinct("item")),
+    ...(await User.distinct("favorites")),
+    ...(await Report.distinct("target", { targetModel: "Item" })),
+  ];
+  const missing = await missingIds(Item, referenced);
+
+  if (missing.length && !dryRun) {
+    await Item.removeReferences(missing);
+  }
+  return missing.length;
+};
+
+// Replies whose parent is gone, along with the replies below them
+const repairReplies = async (dryRun) => {
+  const missing = await missingIds(Comment, await Comment.distinct("parent"));
+  const orphans = await Comment.find({ parent: { $in: missing } });
+
+  if (!dryRun) {
+    for (const orphan of orphans) {
+      await Comment.removeThread(orphan);
+    }
+  }
+  return orphans.length;
+};
+
+// Comments listed on items that don't exist any more, which also leaves the
+// items' commentsCount off
+const repairItemComments = async (dryRun) => {
+  const missing = await missingIds(Comment, await Item.distinct("comments"));
+  const items = await Item.find({ comments: { $in: missing } });
+
+  if (!dryRun) {
+    for (const item of items) {
+      item.comments.pull(...missing);
+      await item.save();
+    }
+  }
+  return items.length;
+};
+
+// Reports on anything that doesn't exist any more
+const repairReports = async (dryRun) => {
+  let count = 0;
+
+  for (const Model of [Item, Comment, User]) {
+    const targets = await Report.distinct("target", {
+      targetModel: Model.modelName,
+    });
+    const missing = await missingIds(Model, targets);
+    const filter = { target: { $in: missing } };
+
+    count += await Report.countDocuments(filter);
+    if (!dryRun) {
+      await Report.deleteMany(filter);
+    }
+  }
+  return count;
+};
+
+const repair = async (options) => {
+  const results = {
+    // before the items, whose cleanup would take these along uncounted
+    "conversations about deleted items": await repairConversations(
+      options.dryRun
+    ),
+    "deleted items": await repairItemReferences(options.dryRun),
+    "orphaned replies": await repairReplies(options.dryRun),
+    "items listing deleted comments": await repairItemComments(options.dryRun),
+    "reports on deleted content": await repairReports(options.dryRun),
+    "messages in deleted conversations": await repairMessages(options.dryRun),
+  };
+
+  console.log(
+    options.dryRun ? "Would repair (dry run):" : "Repaired:",
+    Object.keys(results)
+      .map((name) => `${results[name]} ${name}`)
+      .join(", ")
+  );
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    usage();
+    process.exit(1);
+  }
+  if (options.help) {
+    usage();
+    return;
+  }
+
+  if (!process.env.MONGODB_URI) {
+    console.error(
+      "Missing MONGODB_URI in env, please add it to your .env file"
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await repair(options);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1 +1,307 @@
-//TODO: seeds script should come here, so we'll be able to put some data in our local env
+// Fills the database with users, items, follows, favorites and comments.
+//
+//   yarn seeds [--users 100] [--items 100] [--comments 100] [--seed 1] [--wipe]
+//
+// The same seed always produces the same data, so e2e tests and demos can
+// rely on it. All seeded users share the password "password". Seeding into a
+// database that already has seed data fails on duplicate usernames, so pass
+// --wipe to start over.
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+require("../models/User");
+require("../models/Item");
+require("../models/Comment");
+require("../models/Review");
+require("../models/Report");
+require("../models/RefreshToken");
+require("../models/Conversation");
+require("../models/Message");
+
+const User = mongoose.model("User");
+const Item = mongoose.model("Item");
+const Comment = mongoose.model("Comment");
+const Review = mongoose.model("Review");
+const Report = mongoose.model("Report");
+const RefreshToken = mongoose.model("RefreshToken");
+const Conversation = mongoose.model("Conversation");
+const Message = mongoose.model("Message");
+const { CURRENCIES } = require("../lib/currency");
+
+const DEFAULTS = { users: 100, items: 100, comments: 100, seed: 1 };
+const PASSWORD = "password";
+const DAY = 24 * 60 * 60 * 1000;
+
+const FIRST_NAMES = ["alex", "sam", "jordan", "taylor", "morgan", "casey",
+  "riley", "jamie", "robin", "avery", "quinn", "drew", "noa", "yael", "omer"];
+const ADJECTIVES = ["vintage", "handmade", "rare", "shiny", "cozy", "tiny",
+  "giant", "retro", "wooden", "enchanted", "electric", "golden", "mysterious"];
+const THINGS = ["lamp", "teapot", "bicycle", "guitar", "backpack", "camera",
+  "dragon egg", "chess set", "telescope", "armchair", "skateboard", "kite",
+  "typewriter", "record player", "sword", "map", "hat", "clock"];
+const TAGS = ["home", "music", "outdoors", "collectibles", "books", "tech",
+  "fashion", "toys", "art", "sports", "kitchen", "magic"];
+const PHRASES = ["Barely used and in great shape.",
+  "Found it in my grandmother's attic.",
+  "Comes with the original box.",
+  "Pick up only, no shipping.",
+  "Works perfectly, just needs a new home.",
+  "A few scratches, nothing serious.",
+  "Price is negotiable for quick buyers.",
+  "One of a kind, you won't find another."];
+const COMMENTS = ["Is this still available?", "Would you take less for it?",
+  "Love it!", "Can you ship to another city?", "What are the dimensions?",
+  "I bought one of these last year, highly recommended.",
+  "Does it come with a warranty?", "Sent you a message."];
+
+const usage = () => {
+  console.log(
+    "Usage: yarn seeds [--users N] [--items N] [--comments N] [--seed N] [--wipe]"
+  );
+};
+
+const parseArgs = (argv) => {
+  const options = { ...DEFAULTS, wipe: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+
+    if (name === "wipe") {
+      options.wipe = true;
+    } else if (name === "help") {
+      options.help = true;
+    } else if (name in DEFAULTS) {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`--${name} must be a non-negative whole number`);
+      }
+      options[name] = value;
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+
+  return options;
+};
+
+// mulberry32, small and good enough to pick fake data reproducibly
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (list) => list[int(0, list.length - 1)];
+  const sample = (list, count) => {
+    const copy = list.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = int(0, i);
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy.slice(0, count);
+  };
+
+  return { next, int, pick, sample };
+};
+
+const daysAgo = (now, random) =>
+  new Date(now - random.int(0, 90) * DAY - random.int(0, DAY));
+
+const seedUsers = async (random, count, now) => {
+  const users = [];
+
+  for (let i = 0; i < count; i++) {
+    const username = `${random.pick(FIRST_NAMES)}${i + 1}`;
+    const user = new User({
+      username,
+      email: `${username}@anythink.example`,
+      bio: random.pick(PHRASES),
+      image: `https://i.pravatar.cc/150?u=${username}`,
+      emailVerified: true,
+      createdAt: daysAgo(now, random),
+    });
+    user.setPassword(PASSWORD);
+    users.push(await user.save());
+  }
+
+  return users;
+};
+
+const seedItems = async (random, count, users, now) => {
+  const items = [];
+
+  for (let i = 0; i < count; i++) {
+    const title = `${random.pick(ADJECTIVES)} ${random.pick(THINGS)}`;
+    const slug = `${title.replace(/\s+/g, "-")}-${i + 1}`;
+    const imageCount = random.int(1, 3);
+    const images = [];
+    for (let n = 1; n <= imageCount; n++) {
+      images.push(`https://picsum.photos/seed/${slug}-${n}/600/400`);
+    }
+
+    const item = new Item({
+      slug,
+      title: title[0].toUpperCase() + title.slice(1),
+      description: random.sample(PHRASES, random.int(1, 3)).join(" "),
+      images,
+      price: {
+        amount: random.int(1, 500) * 100 - random.pick([0, 1, 51]),
+        currency: random.next() < 0.7 ? "USD" : random.pick(CURRENCIES),
+      },
+      status: random.next() < 0.1 ? "draft" : "published",
+      tagList: random.sample(TAGS, random.int(1, 3)),
+      seller: random.pick(users)._id,
+      createdAt: daysAgo(now, random),
+    });
+    await item.save();
+
+    // Sold items have to go through "published" first
+    if (item.status === "published" && random.next() < 0.1) {
+      item.status = "sold";
+      await item.save();
+    }
+
+    items.push(item);
+  }
+
+  return items;
+};
+
+const seedFollows = async (random, users) => {
+  for (const user of users) {
+    const others = users.filter((other) => other !== user);
+    user.following = random
+      .sample(others, random.int(0, Math.min(5, others.length)))
+      .map((other) => other._id);
+    await user.save();
+  }
+};
+
+const seedFavorites = async (random, users, items) => {
+  const visible = items.filter((item) => item.status !== "draft");
+
+  for (const user of users) {
+    user.favorites = random
+      .sample(visible, random.int(0, Math.min(5, visible.length)))
+      .map((item) => item._id);
+    await user.save();
+  }
+
+  for (const item of visible) {
+    item.favoritesCount = users.filter((user) => user.isFavorite(item._id))
+      .length;
+    await item.save();
+  }
+};
+
+const seedComments = async (random, count, users, items, now) => {
+  const visible = items.filter((item) => item.status !== "draft");
+  if (!visible.length) {
+    return;
+  }
+
+  const posted = new Map();
+
+  for (let i = 0; i < count; i++) {
+    const item = random.pick(visible);
+    const earlier = posted.get(item) || [];
+    // about a third of them reply to an earlier comment on the item
+    const parent =
+      earlier.length && random.next() < 0.3 ? random.pick(earlier) : null;
+    const comment = new Comment({
+      body: random.pick(COMMENTS),
+      seller: random.pick(users)._id,
+      item: item._id,
+      createdAt: new Date(
+        Math.max(
+          (parent || item).createdAt.getTime(),
+          daysAgo(now, random).getTime()
+        )
+      ),
+    });
+
+    if (parent) {
+      comment.replyTo(parent);
+    }
+
+    await comment.save();
+    posted.set(item, earlier.concat([comment]));
+
+    item.comments = item.comments.concat([comment._id]);
+    await item.save();
+  }
+};
+
+const seed = async (options) => {
+  const random = createRandom(options.seed);
+  const now = Date.now();
+
+  if (options.wipe) {
+    await Promise.all([
+      User.deleteMany({}),
+      Item.deleteMany({}),
+      Comment.deleteMany({}),
+      Review.deleteMany({}),
+      Report.deleteMany({}),
+      RefreshToken.deleteMany({}),
+      Conversation.deleteMany({}),
+      Message.deleteMany({}),
+    ]);
+    console.log(
+      "Wiped users, items, comments, reviews, reports, sign ins and messages"
+    );
+  }
+
+  const users = await seedUsers(random, options.users, now);
+  const items = users.length
+    ? await seedItems(random, options.items, users, now)
+    : [];
+  await seedFollows(random, users);
+  await seedFavorites(random, users, items);
+  if (users.length) {
+    await seedComments(random, options.comments, users, items, now);
+  }
+
+  console.log(
+    `Seeded ${users.length} users, ${items.length} items and ` +
+      `${users.length ? options.comments : 0} comments ` +
+      `(seed ${options.seed}, password "${PASSWORD}")`
+  );
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    usage();
+    process.exit(1);
+  }
+  if (options.help) {
+    usage();
+    return;
+  }
+
+  if (!process.env.MONGODB_URI) {
+    console.error("Missing MONGODB_URI in env, please add it to your .env file");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await seed(options);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+// Marks accounts created before email verification existed as verified.
+//
+//   yarn verify-existing-users
+//
+// Those accounts have no emailVerified flag, so they load as unverified and
+// POST /api/items refuses them. Users who signed up since have the flag, and
+// stay unverified until they open their link. Running it again changes
+// nothing, start.sh runs it before every start.
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+require("../models/User");
+
+const User = mongoose.model("User");
+
+const main = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error(
+      "Missing MONGODB_URI in env, please add it to your .env file"
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+    console.log(`Verified ${result.nModified} existing users`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,3 +1,4 @@
 #!/bin/sh
 
+yarn verify-existing-users
 yarn start
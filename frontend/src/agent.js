@@ -14,36 +14,120 @@ const encode = encodeURIComponent;
 const responseBody = (res) => res.body;
 
 let token = null;
+let refreshToken = null;
+let onSessionExpired = () => {};
 const tokenPlugin = (req) => {
   if (token) {
     req.set("authorization", `Token ${token}`);
   }
 };
 
+// Keeps the tokens of the signed in user (or none) for the requests, and in
+// localStorage for the next visit
+const setSession = (user) => {
+  token = user?.token || null;
+  refreshToken = user?.refreshToken || null;
+  window.localStorage.setItem("jwt", token || "");
+  window.localStorage.setItem("refreshToken", refreshToken || "");
+};
+
+const restoreSession = () => {
+  token = window.localStorage.getItem("jwt") || null;
+  refreshToken = window.localStorage.getItem("refreshToken") || null;
+  return token;
+};
+
+// Access tokens only last a few minutes. Requests failing at the same time
+// share one refresh, and another tab may have refreshed already, in which
+// case its tokens are picked up from localStorage.
+let refreshing = null;
+const refreshSession = (expiredToken) => {
+  if (restoreSession() !== expiredToken) {
+    return Promise.resolve();
+  }
+
+  if (!refreshing) {
+    refreshing = superagent
+      .post(`${API_ROOT}/users/refresh`, { user: { refreshToken } })
+      .then(responseBody)
+      .then(
+        (body) => {
+          refreshing = null;
+          setSession(body.user);
+        },
+        (err) => {
+          refreshing = null;
+          if (err.status === 401) {
+            setSession(null);
+            onSessionExpired();
+          }
+          throw err;
+        }
+      );
+  }
+
+  return refreshing;
+};
+
+// Sends a request, and once more with new tokens when the access token it was
+// sent with had expired
+const send = (request) => {
+  const sentWith = token;
+
+  return request().then(responseBody, (err) => {
+    if (err.status !== 401 || !sentWith || !refreshToken) {
+      throw err;
+    }
+
+    return refreshSession(sentWith).then(
+      () => request().then(responseBody),
+      () => {
+        throw err;
+      }
+    );
+  });
+};
+
 const requests = {
   del: (url) =>
-    superagent.del(`${API_ROOT}${url}`).use(tokenPlugin).then(responseBody),
+    send(() => superagent.del(`${API_ROOT}${url}`).use(tokenPlugin)),
   get: (url) =>
-    superagent.get(`${API_ROOT}${url}`).use(tokenPlugin).then(responseBody),
+    send(() => superagent.get(`${API_ROOT}${url}`).use(tokenPlugin)),
   put: (url, body) =>
-    superagent
-      .put(`${API_ROOT}${url}`, body)
-      .use(tokenPlugin)
-      .then(responseBody),
+    send(() => superagent.put(`${API_ROOT}${url}`, body).use(tokenPlugin)),
   post: (url, body) =>
-    superagent
-      .post(`${API_ROOT}${url}`, body)
-      .use(tokenPlugin)
-      .then(responseBody),
+    send(() => superagent.post(`${API_ROOT}${url}`, body).use(tokenPlugin)),
+  upload: (url, field, file) =>
+    send(() =>
+      superagent.post(`${API_ROOT}${url}`).use(tokenPlugin).attach(field, file)
+    ),
 };
 
 const Auth = {
   current: () => requests.get("/user"),
-  login: (email, password) =>
-    requests.post("/users/login", { user: { email, password } }),
+  login: (email, password, code) =>
+    requests.post("/users/login", { user: { email, password, code } }),
+  requestPasswordReset: (email) =>
+    requests.post("/users/password-reset", { user: { email } }),
+  resetPassword: (token, password) =>
+    requests.post("/users/password-reset/confirm", {
+      user: { token, password },
+    }),
+  resendEmailVerification: () => requests.post("/users/email-verification"),
+  verifyEmail: (token) =>
+    requests.post("/users/email-verification/confirm", { user: { token } }),
   register: (username, email, password) =>
     requests.post("/users", { user: { username, email, password } }),
   save: (user) => requests.put("/user", { user }),
+  logout: () => requests.post("/users/logout", { user: { refreshToken } }),
+  logoutEverywhere: () => requests.del("/user/sessions"),
+  startTwoFactor: () => requests.post("/user/two-factor"),
+  confirmTwoFactor: (code) =>
+    requests.post("/user/two-factor/confirm", { twoFactor: { code } }),
+  disableTwoFactor: (code) =>
+    requests.post("/user/two-factor/disable", { twoFactor: { code } }),
+  newRecoveryCodes: (code) =>
+    requests.post("/user/two-factor/recovery-codes", { twoFactor: { code } }),
 };
 
 const Tags = {
@@ -51,19 +135,37 @@ const Tags = {
 };
 
 const limit = (count, p) => `limit=${count}&offset=${p ? p * count : 0}`;
+// Lists that scroll forever load a page at a time, continuing from the
+// previous page's cursor, or from an offset where the order can't be paged
+// by cursor (search results ranked by relevance)
+const ITEMS_PER_PAGE = 24;
+const nextPage = (page) =>
+  page?.after
+    ? `limit=${ITEMS_PER_PAGE}&after=${encode(page.after)}`
+    : `limit=${ITEMS_PER_PAGE}&offset=${page?.offset || 0}`;
+const sortBy = (sort) => (sort ? `&sort=${encode(sort)}` : "");
 const omitSlug = (item) => Object.assign({}, item, { slug: undefined });
 const Items = {
-  all: (page) => requests.get(`/items?${limit(1000, page)}`),
+  all: (page, sort) => requests.get(`/items?${nextPage(page)}${sortBy(sort)}`),
   bySeller: (seller, page) =>
     requests.get(`/items?seller=${encode(seller)}&${limit(500, page)}`),
-  byTag: (tag, page) =>
-    requests.get(`/items?tag=${encode(tag)}&${limit(1000, page)}`),
+  byTag: (tag, page, sort) =>
+    requests.get(`/items?tag=${encode(tag)}&${nextPage(page)}${sortBy(sort)}`),
   del: (slug) => requests.del(`/items/${slug}`),
   favorite: (slug) => requests.post(`/items/${slug}/favorite`),
   favoritedBy: (seller, page) =>
     requests.get(`/items?favorited=${encode(seller)}&${limit(500, page)}`),
-  feed: () => requests.get("/items/feed?limit=10&offset=0"),
+  feed: (page) => requests.get(`/items/feed?${nextPage(page)}`),
   get: (slug) => requests.get(`/items/${slug}`),
+  search: (query, page, sort) =>
+    requests.get(`/items?q=${encode(query)}&${nextPage(page)}${sortBy(sort)}`),
+  setStatus: (slug, status) =>
+    requests.put(`/items/${slug}`, { item: { status } }),
+  soldBy: (seller, page) =>
+    requests.get(
+      `/items?seller=${encode(seller)}&status=sold&${limit(500, page)}`
+    ),
+  report: (slug, report) => requests.post(`/items/${slug}/report`, { report }),
   unfavorite: (slug) => requests.del(`/items/${slug}/favorite`),
   update: (item) =>
     requests.put(`/items/${item.slug}`, { item: omitSlug(item) }),
@@ -76,23 +178,91 @@ const Comments = {
   delete: (slug, commentId) =>
     requests.del(`/items/${slug}/comments/${commentId}`),
   forItem: (slug) => requests.get(`/items/${slug}/comments`),
+  update: (slug, commentId, comment) =>
+    requests.put(`/items/${slug}/comments/${commentId}`, { comment }),
+  revisions: (slug, commentId) =>
+    requests.get(`/items/${slug}/comments/${commentId}/revisions`),
+  report: (slug, commentId, report) =>
+    requests.post(`/items/${slug}/comments/${commentId}/report`, { report }),
+};
+
+const Conversations = {
+  all: (page) => requests.get(`/conversations?${limit(20, page)}`),
+  get: (id) => requests.get(`/conversations/${id}`),
+  markRead: (id) => requests.post(`/conversations/${id}/read`),
+  messages: (id, after) =>
+    requests.get(
+      `/conversations/${id}/messages${after ? `?after=${encode(after)}` : ""}`
+    ),
+  send: (id, message) =>
+    requests.post(`/conversations/${id}/messages`, { message }),
+  start: (slug, body) =>
+    requests.post("/conversations", { conversation: { item: slug, body } }),
+  unreadCount: () => requests.get("/conversations/unread"),
+};
+
+// Admin lists take a filter like { hidden: true } and a page number
+const filterBy = (filter) =>
+  Object.keys(filter || {})
+    .filter((key) => filter[key] !== undefined && filter[key] !== "")
+    .map((key) => `&${key}=${encode(filter[key])}`)
+    .join("");
+const Admin = {
+  activity: () => requests.get("/admin/activity"),
+  comments: (filter, page) =>
+    requests.get(`/admin/comments?${limit(20, page)}${filterBy(filter)}`),
+  deleteComment: (id) => requests.del(`/admin/comments/${id}`),
+  deleteItem: (slug) => requests.del(`/admin/items/${slug}`),
+  items: (filter, page) =>
+    requests.get(`/admin/items?${limit(20, page)}${filterBy(filter)}`),
+  setCommentHidden: (id, hidden) =>
+    requests.put(`/admin/comments/${id}`, { comment: { hidden } }),
+  setItemHidden: (slug, hidden) =>
+    requests.put(`/admin/items/${slug}`, { item: { hidden } }),
+  setSuspended: (username, suspended) =>
+    requests.put(`/admin/users/${username}`, { user: { suspended } }),
+  setVerified: (username, verified) =>
+    requests.put(`/admin/users/${username}`, { user: { verified } }),
+  users: (filter, page) =>
+    requests.get(`/admin/users?${limit(20, page)}${filterBy(filter)}`),
 };
 
 const Profile = {
+  deleteReview: (username, id) =>
+    requests.del(`/profiles/${username}/reviews/${id}`),
   follow: (username) => requests.post(`/profiles/${username}/follow`),
   get: (username) => requests.get(`/profiles/${username}`),
+  review: (username, review) =>
+    requests.post(`/profiles/${username}/reviews`, { review }),
+  report: (username, report) =>
+    requests.post(`/profiles/${username}/report`, { report }),
+  reviews: (username) => requests.get(`/profiles/${username}/reviews`),
   unfollow: (username) => requests.del(`/profiles/${username}/follow`),
 };
 
+const Uploads = {
+  image: (file) => requests.upload("/uploads", "image", file),
+};
+
 const agentObj = {
+  Admin,
   Items,
   Auth,
   Comments,
+  Conversations,
   Profile,
   Tags,
+  Uploads,
   setToken: (_token) => {
     token = _token;
   },
+  setSession,
+  restoreSession,
+  // called when the session can't be refreshed any more, e.g. after signing
+  // out everywhere
+  onSessionExpired: (listener) => {
+    onSessionExpired = listener;
+  },
 };
 
 export default agentObj;
@@ -0,0 +1,91 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+const UserLink = ({ user }) =>
+  user ? <Link to={`/@${user.username}`}>{user.username}</Link> : "Someone";
+
+const ItemLink = ({ item }) =>
+  item ? <Link to={`/item/${item.slug}`}>{item.title}</Link> : "a removed item";
+
+const ReportTarget = ({ target }) => {
+  if (!target) {
+    return "something since removed";
+  }
+  if (target.kind === "item") {
+    return <ItemLink item={target.item} />;
+  }
+  if (target.kind === "user") {
+    return <UserLink user={target.user} />;
+  }
+  return (
+    <React.Fragment>
+      a comment &ldquo;{target.comment.body}&rdquo;
+    </React.Fragment>
+  );
+};
+
+const describe = (event) => {
+  switch (event.type) {
+    case "user_registered":
+      return (
+        <React.Fragment>
+          <UserLink user={event.user} /> signed up
+        </React.Fragment>
+      );
+    case "item_created":
+      return (
+        <React.Fragment>
+          <UserLink user={event.user} /> listed <ItemLink item={event.item} />
+        </React.Fragment>
+      );
+    case "comment_created":
+      return (
+        <React.Fragment>
+          <UserLink user={event.user} /> commented on{" "}
+          <ItemLink item={event.item} />: &ldquo;{event.comment.body}&rdquo;
+        </React.Fragment>
+      );
+    case "review_created":
+      return (
+        <React.Fragment>
+          <UserLink user={event.user} /> rated <UserLink user={event.seller} />{" "}
+          {event.review.rating} out of 5
+        </React.Fragment>
+      );
+    case "report_filed":
+      return (
+        <React.Fragment>
+          <UserLink user={event.user} /> reported{" "}
+          <ReportTarget target={event.target} /> as {event.report.reason}
+          {event.report.details ? (
+            <React.Fragment>
+              : &ldquo;{event.report.details}&rdquo;
+            </React.Fragment>
+          ) : null}
+        </React.Fragment>
+      );
+    default:
+      return event.type;
+  }
+};
+
+const ActivityList = ({ activity }) => {
+  if (!activity.length) {
+    return <div className="py-4 no-items">Nothing has happened yet.</div>;
+  }
+
+  return (
+    <ul className="list-group activity-list">
+      {activity.map((event, i) => (
+        <li key={i} className="list-group-item bg-dark border-secondary d-flex">
+          <span className="flex-grow-1">{describe(event)}</span>
+          <small className="text-muted ml-3">
+            {new Date(event.createdAt).toLocaleString()}
+          </small>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ActivityList;
@@ -0,0 +1,147 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { recordKey } from "../../reducers/admin";
+
+const ItemRow = ({ record }) => (
+  <React.Fragment>
+    <td>
+      <Link to={`/item/${record.slug}`}>{record.title}</Link>
+    </td>
+    <td>
+      <Link to={`/@${record.seller.username}`}>{record.seller.username}</Link>
+    </td>
+    <td>{record.status}</td>
+  </React.Fragment>
+);
+
+const CommentRow = ({ record }) => (
+  <React.Fragment>
+    <td className="text-break">{record.body}</td>
+    <td>
+      {record.seller ? (
+        <Link to={`/@${record.seller.username}`}>{record.seller.username}</Link>
+      ) : (
+        "Deleted user"
+      )}
+    </td>
+    <td>
+      {record.item ? (
+        <Link to={`/item/${record.item.slug}`}>{record.item.title}</Link>
+      ) : null}
+    </td>
+  </React.Fragment>
+);
+
+const COLUMNS = {
+  items: ["Item", "Seller", "Status"],
+  comments: ["Comment", "Author", "On item"],
+};
+
+// Items or comments with checkboxes to hide, unhide or delete several at once
+const ContentTable = ({ tab, records, inProgress, onBulkAction }) => {
+  const [selected, setSelected] = useState([]);
+  const keys = records.map((record) => recordKey(tab, record));
+  // records that were deleted or paged away are no longer selected
+  const checked = selected.filter((key) => keys.includes(key));
+  const Row = tab === "items" ? ItemRow : CommentRow;
+
+  const toggle = (key) =>
+    setSelected(
+      checked.includes(key)
+        ? checked.filter((other) => other !== key)
+        : checked.concat([key])
+    );
+
+  const run = (action) => {
+    if (
+      action === "delete" &&
+      !window.confirm(`Delete ${checked.length} ${tab} for good?`)
+    ) {
+      return;
+    }
+    onBulkAction(action, checked);
+    setSelected([]);
+  };
+
+  if (!records.length) {
+    return <div className="py-4 no-items">Nothing here.</div>;
+  }
+
+  return (
+    <div>
+      <div className="mb-2 bulk-actions">
+        <button
+          className="btn btn-sm btn-outline-secondary mr-2"
+          disabled={inProgress || !checked.length}
+          onClick={() => run("hide")}
+        >
+          Hide
+        </button>
+        <button
+          className="btn btn-sm btn-outline-secondary mr-2"
+          disabled={inProgress || !checked.length}
+          onClick={() => run("unhide")}
+        >
+          Unhide
+        </button>
+        <button
+          className="btn btn-sm btn-outline-danger"
+          disabled={inProgress || !checked.length}
+          onClick={() => run("delete")}
+        >
+          Delete
+        </button>
+        {checked.length ? (
+          <span className="ml-3 text-muted">{checked.length} selected</span>
+        ) : null}
+      </div>
+
+      <table className="table table-dark table-sm">
+        <thead>
+          <tr>
+            <th>
+              <input
+                type="checkbox"
+                aria-label="Select all"
+                checked={checked.length === keys.length}
+                onChange={() =>
+                  setSelected(checked.length === keys.length ? [] : keys)
+                }
+              />
+            </th>
+            {COLUMNS[tab].map((column) => (
+              <th key={column}>{column}</th>
+            ))}
+            <th>Posted</th>
+            <th>Reports</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {records.map((record, i) => (
+            <tr key={keys[i]} className={record.hidden ? "text-muted" : ""}>
+              <td>
+                <input
+                  type="checkbox"
+                  aria-label="Select"
+                  checked={checked.includes(keys[i])}
+                  onChange={() => toggle(keys[i])}
+                />
+              </td>
+              <Row record={record} />
+              <td>{new Date(record.createdAt).toDateString()}</td>
+              <td>{record.reportsCount || null}</td>
+              <td>
+                {record.hidden ? (
+                  <span className="badge badge-secondary">Hidden</span>
+                ) : null}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ContentTable;
@@ -0,0 +1,64 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import VerifiedBadge from "../VerifiedBadge";
+
+const UserTable = ({ users, currentUser, inProgress, onVerify, onSuspend }) => {
+  if (!users.length) {
+    return <div className="py-4 no-items">Nothing here.</div>;
+  }
+
+  return (
+    <table className="table table-dark table-sm">
+      <thead>
+        <tr>
+          <th>User</th>
+          <th>Email</th>
+          <th>Role</th>
+          <th>Joined</th>
+          <th>Reports</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        {users.map((user) => (
+          <tr
+            key={user.username}
+            className={user.suspended ? "text-muted" : ""}
+          >
+            <td>
+              <Link to={`/@${user.username}`}>{user.username}</Link>
+              <VerifiedBadge user={user} />
+              {user.suspended ? (
+                <span className="badge badge-secondary ml-2">Suspended</span>
+              ) : null}
+            </td>
+            <td>{user.email}</td>
+            <td>{user.role}</td>
+            <td>{new Date(user.createdAt).toDateString()}</td>
+            <td>{user.reportsCount || null}</td>
+            <td className="text-right">
+              <button
+                className="btn btn-sm btn-outline-secondary mr-2"
+                disabled={inProgress}
+                onClick={() => onVerify(user.username, !user.verified)}
+              >
+                {user.verified ? "Unverify" : "Verify"}
+              </button>
+              {user.username !== currentUser.username ? (
+                <button
+                  className="btn btn-sm btn-outline-danger"
+                  disabled={inProgress}
+                  onClick={() => onSuspend(user.username, !user.suspended)}
+                >
+                  {user.suspended ? "Unsuspend" : "Suspend"}
+                </button>
+              ) : null}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default UserTable;
@@ -0,0 +1,226 @@
+import ActivityList from "./ActivityList";
+import ContentTable from "./ContentTable";
+import ListErrors from "../ListErrors";
+import React, { useEffect, useState } from "react";
+import UserTable from "./UserTable";
+import agent from "../../agent";
+import { connect } from "react-redux";
+import { Link, Navigate, useParams } from "react-router-dom";
+import {
+  ADMIN_BULK_ACTION,
+  ADMIN_LIST_LOADED,
+  ADMIN_PAGE_UNLOADED,
+  ADMIN_USER_UPDATED,
+} from "../../constants/actionTypes";
+
+const PER_PAGE = 20;
+
+const TABS = [
+  { key: "items", label: "Items" },
+  { key: "comments", label: "Comments" },
+  { key: "users", label: "Users" },
+  { key: "activity", label: "Recent Activity" },
+];
+
+// What each filter in the dropdown asks the API for, the first one is the
+// default so that reported content is what admins see first
+const FILTERS = {
+  items: [
+    { key: "reported", label: "Reported", query: { reported: true } },
+    { key: "", label: "All items", query: {} },
+    { key: "hidden", label: "Hidden", query: { hidden: true } },
+    { key: "visible", label: "Visible", query: { hidden: false } },
+  ],
+  comments: [
+    { key: "reported", label: "Reported", query: { reported: true } },
+    { key: "", label: "All comments", query: {} },
+    { key: "hidden", label: "Hidden", query: { hidden: true } },
+    { key: "visible", label: "Visible", query: { hidden: false } },
+  ],
+  users: [
+    { key: "reported", label: "Reported", query: { reported: true } },
+    { key: "", label: "All users", query: {} },
+    { key: "suspended", label: "Suspended", query: { suspended: true } },
+    { key: "active", label: "Active", query: { suspended: false } },
+  ],
+};
+
+const loadList = (tab, filter, page) => {
+  if (tab === "activity") {
+    return agent.Admin.activity();
+  }
+  const query = FILTERS[tab].find((option) => option.key === filter).query;
+  return agent.Admin[tab](query, page);
+};
+
+const BULK_ACTIONS = {
+  items: {
+    hide: (slug) => agent.Admin.setItemHidden(slug, true),
+    unhide: (slug) => agent.Admin.setItemHidden(slug, false),
+    delete: (slug) => agent.Admin.deleteItem(slug),
+  },
+  comments: {
+    hide: (id) => agent.Admin.setCommentHidden(id, true),
+    unhide: (id) => agent.Admin.setCommentHidden(id, false),
+    delete: (id) => agent.Admin.deleteComment(id),
+  },
+};
+
+const mapStateToProps = (state) => ({
+  ...state.admin,
+  currentUser: state.common.currentUser,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  onBulkAction: (tab, action, keys, payload) =>
+    dispatch({ type: ADMIN_BULK_ACTION, tab, action, keys, payload }),
+  onLoad: (tab, filter, page, payload) =>
+    dispatch({ type: ADMIN_LIST_LOADED, tab, filter, page, payload }),
+  onUnload: () => dispatch({ type: ADMIN_PAGE_UNLOADED }),
+  onUpdateUser: (payload) => dispatch({ type: ADMIN_USER_UPDATED, payload }),
+});
+
+const Admin = (props) => {
+  const { currentUser, tab, onLoad, onUnload } = props;
+  const [filter, setFilter] = useState(FILTERS[tab]?.[0].key || "");
+  const [page, setPage] = useState(0);
+  const isAdmin = currentUser?.role === "admin";
+
+  useEffect(() => {
+    if (isAdmin) {
+      onLoad(tab, filter, page, loadList(tab, filter, page));
+    }
+  }, [isAdmin, tab, filter, page, onLoad]);
+
+  useEffect(() => onUnload, [onUnload]);
+
+  if (!currentUser) {
+    return <Navigate to="/login" replace />;
+  }
+  if (!isAdmin) {
+    return <Navigate to="/" replace />;
+  }
+
+  const bulkAction = (action, keys) =>
+    props.onBulkAction(
+      tab,
+      action,
+      keys,
+      Promise.all(keys.map((key) => BULK_ACTIONS[tab][action](key)))
+    );
+
+  const setVerified = (username, verified) =>
+    props.onUpdateUser(agent.Admin.setVerified(username, verified));
+  const setSuspended = (username, suspended) =>
+    props.onUpdateUser(agent.Admin.setSuspended(username, suspended));
+
+  // the list showing may still be the one from before changing the filter
+  const loaded = props.filter === filter && props.page === page;
+
+  const renderList = () => {
+    if (!loaded || !props.records) {
+      return <div className="py-4">Loading...</div>;
+    }
+    if (tab === "activity") {
+      return <ActivityList activity={props.records} />;
+    }
+    if (tab === "users") {
+      return (
+        <UserTable
+          users={props.records}
+          currentUser={currentUser}
+          inProgress={props.inProgress}
+          onVerify={setVerified}
+          onSuspend={setSuspended}
+        />
+      );
+    }
+    return (
+      <ContentTable
+        tab={tab}
+        records={props.records}
+        inProgress={props.inProgress}
+        onBulkAction={bulkAction}
+      />
+    );
+  };
+
+  const pages = Math.ceil((props.count || 0) / PER_PAGE);
+
+  return (
+    <div className="admin-page container py-4">
+      <h1 className="mb-4">Admin</h1>
+
+      <ul className="nav nav-tabs outline-active mb-3">
+        {TABS.map(({ key, label }) => (
+          <li className="nav-item" key={key}>
+            <Link
+              className={key === tab ? "nav-link active" : "nav-link"}
+              to={key === "items" ? "/admin" : `/admin/${key}`}
+            >
+              {label}
+            </Link>
+          </li>
+        ))}
+      </ul>
+
+      {FILTERS[tab] ? (
+        <div className="form-inline mb-3">
+          <select
+            className="form-control form-control-sm"
+            aria-label="Filter"
+            value={filter}
+            onChange={(ev) => {
+              setFilter(ev.target.value);
+              setPage(0);
+            }}
+          >
+            {FILTERS[tab].map((option) => (
+              <option key={option.key} value={option.key}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {loaded && props.count !== undefined ? (
+            <span className="ml-3 text-muted">{props.count} in total</span>
+          ) : null}
+        </div>
+      ) : null}
+
+      <ListErrors errors={props.errors} />
+      {renderList()}
+
+      {loaded && pages > 1 ? (
+        <nav className="d-flex align-items-center mt-3">
+          <button
+            className="btn btn-sm btn-outline-secondary"
+            disabled={page === 0}
+            onClick={() => setPage(page - 1)}
+          >
+            Previous
+          </button>
+          <span className="mx-3">
+            Page {page + 1} of {pages}
+          </span>
+          <button
+            className="btn btn-sm btn-outline-secondary"
+            disabled={page + 1 >= pages}
+            onClick={() => setPage(page + 1)}
+          >
+            Next
+          </button>
+        </nav>
+      ) : null}
+    </div>
+  );
+};
+
+const ConnectedAdmin = connect(mapStateToProps, mapDispatchToProps)(Admin);
+
+// Each tab starts out unfiltered on its first page
+const AdminPage = () => {
+  const tab = useParams().tab || "items";
+  return <ConnectedAdmin key={tab} tab={tab} />;
+};
+
+export default AdminPage;
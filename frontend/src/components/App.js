@@ -1,16 +1,29 @@
+import Admin from "./Admin";
 import agent from "../agent";
 import Header from "./Header";
 import React, { useEffect } from "react";
 import { connect } from "react-redux";
-import { APP_LOAD, REDIRECT } from "../constants/actionTypes";
+import {
+  APP_LOAD,
+  REDIRECT,
+  UNREAD_MESSAGES_LOADED,
+} from "../constants/actionTypes";
 import Item from "./Item";
 import Editor from "./Editor";
+import EmailVerificationBanner from "./EmailVerificationBanner";
+import ForgotPassword from "./ForgotPassword";
 import Home from "./Home";
+import Inbox from "./Inbox";
+import Conversation from "./Inbox/Conversation";
 import Login from "./Login";
 import Profile from "./Profile";
 import ProfileFavorites from "./ProfileFavorites";
+import ProfileReviews from "./ProfileReviews";
+import ProfileSold from "./ProfileSold";
 import Register from "./Register";
+import ResetPassword from "./ResetPassword";
 import Settings from "./Settings";
+import VerifyEmail from "./VerifyEmail";
 import { Route, Routes, useNavigate } from "react-router-dom";
 
 const mapStateToProps = (state) => {
@@ -19,6 +32,7 @@ const mapStateToProps = (state) => {
     appName: state.common.appName,
     currentUser: state.common.currentUser,
     redirectTo: state.common.redirectTo,
+    unreadMessages: state.common.unreadMessages,
   };
 };
 
@@ -26,10 +40,12 @@ const mapDispatchToProps = (dispatch) => ({
   onLoad: (payload, token) =>
     dispatch({ type: APP_LOAD, payload, token, skipTracking: true }),
   onRedirect: () => dispatch({ type: REDIRECT }),
+  onUnreadLoad: (payload) =>
+    dispatch({ type: UNREAD_MESSAGES_LOADED, payload, skipTracking: true }),
 });
 
 const App = (props) => {
-  const { redirectTo, onRedirect, onLoad } = props;
+  const { redirectTo, onRedirect, onLoad, currentUser, onUnreadLoad } = props;
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -40,29 +56,47 @@ const App = (props) => {
   }, [redirectTo, onRedirect, navigate]);
 
   useEffect(() => {
-    const token = window.localStorage.getItem("jwt");
-    if (token) {
-      agent.setToken(token);
-    }
+    const token = agent.restoreSession();
     onLoad(token ? agent.Auth.current() : null, token);
   }, [onLoad]);
 
+  const username = currentUser?.username;
+  useEffect(() => {
+    if (username) {
+      onUnreadLoad(agent.Conversations.unreadCount());
+    }
+  }, [username, onUnreadLoad]);
+
   if (props.appLoaded) {
     return (
       <div>
         <Header
           appName={props.appName}
           currentUser={props.currentUser}
+          unreadMessages={props.unreadMessages}
+        />
+        <EmailVerificationBanner
+          currentUser={props.currentUser}
+          resend={agent.Auth.resendEmailVerification}
         />
         <Routes>
           <Route exact path="/" element={<Home/>} />
           <Route path="/login" element={<Login/>} />
           <Route path="/register" element={<Register/>} />
+          <Route path="/forgot-password" element={<ForgotPassword/>} />
+          <Route path="/reset-password" element={<ResetPassword/>} />
+          <Route path="/verify-email" element={<VerifyEmail/>} />
           <Route path="/editor/:slug" element={<Editor/>} />
           <Route path="/editor" element={<Editor/>} />
           <Route path="/item/:id" element={<Item/>} />
           <Route path="/settings" element={<Settings/>} />
+          <Route path="/admin" element={<Admin/>} />
+          <Route path="/admin/:tab" element={<Admin/>} />
+          <Route path="/inbox" element={<Inbox/>} />
+          <Route path="/inbox/:id" element={<Conversation/>} />
           <Route path="/:username/favorites" element={<ProfileFavorites/>} />
+          <Route path="/:username/sold" element={<ProfileSold/>} />
+          <Route path="/:username/reviews" element={<ProfileReviews/>} />
           <Route path="/:username" element={<Profile/>} />
         </Routes>
       </div>
@@ -1,9 +1,13 @@
+import ImageUploader from "./ImageUploader";
 import ListErrors from "./ListErrors";
 import React from "react";
 import agent from "../agent";
 import { connect } from "react-redux";
 import {
   ADD_TAG,
+  ADD_IMAGE,
+  REMOVE_IMAGE,
+  MOVE_IMAGE,
   EDITOR_PAGE_LOADED,
   REMOVE_TAG,
   ITEM_SUBMITTED,
@@ -11,6 +15,7 @@ import {
   UPDATE_FIELD_EDITOR,
 } from "../constants/actionTypes";
 import { withRouterParams } from "./commons";
+import { CURRENCIES, toMinorUnits } from "../price";
 
 const mapStateToProps = (state) => ({
   ...state.editor,
@@ -18,6 +23,9 @@ const mapStateToProps = (state) => ({
 
 const mapDispatchToProps = (dispatch) => ({
   onAddTag: () => dispatch({ type: ADD_TAG }),
+  onAddImage: (image) => dispatch({ type: ADD_IMAGE, image }),
+  onMoveImage: (from, to) => dispatch({ type: MOVE_IMAGE, from, to }),
+  onRemoveImage: (index) => dispatch({ type: REMOVE_IMAGE, index }),
   onLoad: (payload) => dispatch({ type: EDITOR_PAGE_LOADED, payload }),
   onRemoveTag: (tag) => dispatch({ type: REMOVE_TAG, tag }),
   onSubmit: (payload) => dispatch({ type: ITEM_SUBMITTED, payload }),
@@ -34,7 +42,9 @@ class Editor extends React.Component {
       this.props.onUpdateField(key, ev.target.value);
     this.changeTitle = updateFieldEvent("title");
     this.changeDescription = updateFieldEvent("description");
-    this.changeImage = updateFieldEvent("image");
+    this.changeImageInput = updateFieldEvent("imageInput");
+    this.changePrice = updateFieldEvent("price");
+    this.changeCurrency = updateFieldEvent("currency");
     this.changeTagInput = updateFieldEvent("tagInput");
 
     this.watchForEnter = (ev) => {
@@ -48,14 +58,43 @@ class Editor extends React.Component {
       this.props.onRemoveTag(tag);
     };
 
-    this.submitForm = (ev) => {
+    this.watchForImageEnter = (ev) => {
+      if (ev.keyCode === 13 && this.props.imageInput) {
+        ev.preventDefault();
+        this.props.onAddImage();
+      }
+    };
+
+    this.addUploadedImage = (url) => {
+      this.props.onAddImage(url);
+    };
+
+    this.moveImageHandler = (from, to) => () => {
+      this.props.onMoveImage(from, to);
+    };
+
+    this.removeImageHandler = (index) => () => {
+      this.props.onRemoveImage(index);
+    };
+
+    this.submitForm = (status) => (ev) => {
       ev.preventDefault();
       const item = {
         title: this.props.title,
         description: this.props.description,
-        image: this.props.image,
+        images: this.props.images,
+        price:
+          this.props.price === ""
+            ? null
+            : {
+                amount: toMinorUnits(this.props.price, this.props.currency),
+                currency: this.props.currency,
+              },
         tagList: this.props.tagList,
       };
+      if (status) {
+        item.status = status;
+      }
 
       const slug = { slug: this.props.itemSlug };
       const promise = this.props.itemSlug
@@ -88,6 +127,7 @@ class Editor extends React.Component {
   }
 
   render() {
+    const isDraft = !this.props.itemSlug || this.props.status === "draft";
     return (
       <div className="editor-page">
         <div className="container page">
@@ -118,15 +158,101 @@ class Editor extends React.Component {
                   </fieldset>
 
                   <fieldset className="form-group">
+                    <div className="d-flex flex-wrap">
+                      {(this.props.images || []).map((image, index, images) => {
+                        return (
+                          <div
+                            className="editor-image text-center mr-2 mb-2"
+                            key={`${index}-${image}`}
+                          >
+                            <img src={image} alt={`item ${index + 1}`} />
+                            <div>
+                              <button
+                                type="button"
+                                className="btn btn-sm text-white"
+                                title="Move left"
+                                disabled={index === 0}
+                                onClick={this.moveImageHandler(
+                                  index,
+                                  index - 1
+                                )}
+                              >
+                                <i className="bi bi-arrow-left"></i>
+                              </button>
+                              <button
+                                type="button"
+                                className="btn btn-sm text-white"
+                                title="Remove"
+                                onClick={this.removeImageHandler(index)}
+                              >
+                                <i className="bi bi-x-lg"></i>
+                              </button>
+                              <button
+                                type="button"
+                                className="btn btn-sm text-white"
+                                title="Move right"
+                                disabled={index === images.length - 1}
+                                onClick={this.moveImageHandler(
+                                  index,
+                                  index + 1
+                                )}
+                              >
+                                <i className="bi bi-arrow-right"></i>
+                              </button>
+                            </div>
+                            {index === 0 ? (
+                              <span className="badge badge-secondary">
+                                Cover
+                              </span>
+                            ) : null}
+                          </div>
+                        );
+                      })}
+                    </div>
+
+                    <ImageUploader
+                      value=""
+                      withUrlInput={false}
+                      onChange={this.addUploadedImage}
+                    />
+
                     <input
                       className="form-control"
                       type="text"
-                      placeholder="Image url"
-                      value={this.props.image}
-                      onChange={this.changeImage}
+                      placeholder="Or enter an image url and press enter"
+                      value={this.props.imageInput}
+                      onChange={this.changeImageInput}
+                      onKeyUp={this.watchForImageEnter}
                     />
                   </fieldset>
 
+                  <fieldset className="form-group">
+                    <div className="input-group">
+                      <input
+                        className="form-control"
+                        type="number"
+                        min="0"
+                        step="any"
+                        placeholder="Price"
+                        value={this.props.price}
+                        onChange={this.changePrice}
+                      />
+                      <div className="input-group-append">
+                        <select
+                          className="custom-select"
+                          value={this.props.currency}
+                          onChange={this.changeCurrency}
+                        >
+                          {CURRENCIES.map((currency) => (
+                            <option key={currency} value={currency}>
+                              {currency}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                  </fieldset>
+
                   <fieldset className="form-group">
                     <input
                       className="form-control"
@@ -155,13 +281,24 @@ class Editor extends React.Component {
                     </div>
                   </fieldset>
 
+                  {isDraft ? (
+                    <button
+                      className="btn btn-lg btn-outline-light mr-2"
+                      type="button"
+                      disabled={this.props.inProgress}
+                      onClick={this.submitForm("draft")}
+                    >
+                      Save Draft
+                    </button>
+                  ) : null}
+
                   <button
                     className="btn btn-lg pull-xs-right btn-primary"
                     type="button"
                     disabled={this.props.inProgress}
-                    onClick={this.submitForm}
+                    onClick={this.submitForm(isDraft ? "published" : null)}
                   >
-                    Publish Item
+                    {isDraft ? "Publish Item" : "Update Item"}
                   </button>
                 </fieldset>
               </form>
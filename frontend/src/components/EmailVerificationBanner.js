@@ -0,0 +1,56 @@
+import ListErrors from "./ListErrors";
+import React, { useState } from "react";
+
+// Reminds signed in users who haven't confirmed their email yet, with a way
+// to get the link again. `resend` asks for a new email and returns the
+// request's promise.
+const EmailVerificationBanner = ({ currentUser, resend }) => {
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [errors, setErrors] = useState(null);
+
+  if (!currentUser || currentUser.emailVerified !== false) {
+    return null;
+  }
+
+  const send = () => {
+    setSending(true);
+    setErrors(null);
+    resend().then(
+      () => setSent(true),
+      (err) => {
+        setSending(false);
+        setErrors(err.response?.body?.errors || { email: "couldn't be sent" });
+      }
+    );
+  };
+
+  return (
+    <div
+      className="alert alert-warning rounded-0 mb-0 text-center email-verification-banner"
+      role="alert"
+    >
+      <ListErrors errors={errors} />
+      {sent ? (
+        <span>
+          We've sent a new link to <strong>{currentUser.email}</strong>.
+        </span>
+      ) : (
+        <span>
+          Please confirm your email address <strong>{currentUser.email}</strong>{" "}
+          to start selling.{" "}
+          <button
+            type="button"
+            className="btn btn-sm btn-link p-0 align-baseline"
+            disabled={sending}
+            onClick={send}
+          >
+            Resend the email
+          </button>
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,92 @@
+import { Link } from "react-router-dom";
+import ListErrors from "./ListErrors";
+import React, { useEffect } from "react";
+import agent from "../agent";
+import { connect } from "react-redux";
+import {
+  UPDATE_FIELD_AUTH,
+  PASSWORD_RESET_REQUESTED,
+  PASSWORD_RESET_PAGE_UNLOADED,
+} from "../constants/actionTypes";
+
+const mapStateToProps = (state) => ({ ...state.auth });
+
+const mapDispatchToProps = (dispatch) => ({
+  onChangeEmail: (value) =>
+    dispatch({ type: UPDATE_FIELD_AUTH, key: "email", value }),
+  onSubmit: (email) =>
+    dispatch({
+      type: PASSWORD_RESET_REQUESTED,
+      payload: agent.Auth.requestPasswordReset(email),
+    }),
+  onUnload: () => dispatch({ type: PASSWORD_RESET_PAGE_UNLOADED }),
+});
+
+const ForgotPassword = (props) => {
+  const { email, onUnload } = props;
+
+  useEffect(() => onUnload, [onUnload]);
+
+  const submit = (ev) => {
+    ev.preventDefault();
+    props.onSubmit(email);
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="container page text-center text-dark">
+        <div className="row">
+          <div className="col-md-6 offset-md-3 col-xs-12 bg-white p-4">
+            <h1 className="text-xs-center font-weight-bold pb-4">
+              Forgot Password
+            </h1>
+
+            {props.resetRequested ? (
+              <p id="reset-requested">
+                If there's an account for {email}, we've sent it a link to
+                choose a new password. Check your inbox.
+              </p>
+            ) : (
+              <React.Fragment>
+                <p>
+                  Enter the email you signed up with and we'll send you a link
+                  to choose a new password.
+                </p>
+
+                <ListErrors errors={props.errors} />
+
+                <form onSubmit={submit}>
+                  <fieldset className="form-group">
+                    <input
+                      className="form-control form-control-lg"
+                      type="email"
+                      placeholder="Email"
+                      value={email || ""}
+                      onChange={(ev) => props.onChangeEmail(ev.target.value)}
+                    />
+                  </fieldset>
+
+                  <button
+                    className="btn btn-lg btn-primary btn-block"
+                    type="submit"
+                    disabled={props.inProgress}
+                  >
+                    SEND RESET LINK
+                  </button>
+                </form>
+              </React.Fragment>
+            )}
+
+            <p className="text-center pt-4">
+              <Link to="/login" className="text-light">
+                Back to sign in
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(ForgotPassword);
@@ -29,6 +29,25 @@ const LoggedInView = (props) => {
         </Link>
       </li>
 
+      <li className="nav-item">
+        <Link to="/inbox" className="nav-link">
+          <i className="ion-email"></i>&nbsp;Inbox
+          {props.unreadMessages ? (
+            <span className="badge badge-pill badge-primary ml-1">
+              {props.unreadMessages}
+            </span>
+          ) : null}
+        </Link>
+      </li>
+
+      {props.currentUser.role === "admin" ? (
+        <li className="nav-item">
+          <Link to="/admin" className="nav-link">
+            <i className="ion-android-lock"></i>&nbsp;Admin
+          </Link>
+        </li>
+      ) : null}
+
       <li className="nav-item">
         <Link to="/settings" className="nav-link">
           <i className="ion-gear-a"></i>&nbsp;Settings
@@ -61,7 +80,10 @@ class Header extends React.Component {
         </Link>
 
         {this.props.currentUser ? (
-          <LoggedInView currentUser={this.props.currentUser} />
+          <LoggedInView
+            currentUser={this.props.currentUser}
+            unreadMessages={this.props.unreadMessages}
+          />
         ) : (
           <LoggedOutView currentUser={this.props.currentUser} />
         )}
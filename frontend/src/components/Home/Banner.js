@@ -1,16 +1,79 @@
-import React from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import listPager from "./listPager";
 import logo from "../../imgs/logo.png";
 
-const Banner = () => {
+const SEARCH_DELAY = 300;
+
+const Banner = ({ searchQuery, sort, onSearch }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [query, setQuery] = useState(() => searchParams.get("q") || "");
+  const lastSearch = useRef(query.trim());
+
+  // Only the query is ours, other parameters such as the sort order stay
+  const setSearchParam = useCallback(
+    (q) =>
+      setSearchParams(
+        (params) => {
+          const next = new URLSearchParams(params);
+          if (q) {
+            next.set("q", q);
+          } else {
+            next.delete("q");
+          }
+          return next;
+        },
+        { replace: true }
+      ),
+    [setSearchParams]
+  );
+
+  // A tag filter or feed tab resets the search in the store.
+  useEffect(() => {
+    if (searchQuery === null) {
+      lastSearch.current = "";
+      setQuery("");
+      setSearchParam("");
+    }
+  }, [searchQuery, setSearchParam]);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed === lastSearch.current) {
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      lastSearch.current = trimmed;
+      setSearchParam(trimmed);
+      const pager = listPager({ query: trimmed }, sort);
+      onSearch(trimmed, pager, pager());
+    }, SEARCH_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [query, sort, onSearch, setSearchParam]);
+
   return (
     <div className="banner text-white">
       <div className="container p-4 text-center">
-        <img src={logo}/>
+        <img src={logo} alt="banner" />
         <div>
           <span>A place to </span>
           <span id="get-part">get</span>
           <span> the cool stuff.</span>
         </div>
+        <div className="row justify-content-center pt-3">
+          <div className="col-md-6">
+            <input
+              id="search-box"
+              className="form-control"
+              type="search"
+              placeholder="What is it that you truly desire?"
+              value={query}
+              onChange={(ev) => setQuery(ev.target.value)}
+            />
+          </div>
+        </div>
       </div>
     </div>
   );
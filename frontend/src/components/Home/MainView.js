@@ -1,8 +1,15 @@
 import ItemList from "../ItemList";
 import React from "react";
+import SortSelect from "./SortSelect";
 import agent from "../../agent";
+import listPager from "./listPager";
 import { connect } from "react-redux";
-import { CHANGE_TAB } from "../../constants/actionTypes";
+import { useSearchParams } from "react-router-dom";
+import {
+  CHANGE_SORT,
+  CHANGE_TAB,
+  ITEM_LIST_PAGE_LOADED,
+} from "../../constants/actionTypes";
 
 const YourFeedTab = (props) => {
   if (props.token) {
@@ -29,7 +36,8 @@ const YourFeedTab = (props) => {
 const GlobalFeedTab = (props) => {
   const clickHandler = (ev) => {
     ev.preventDefault();
-    props.onTabClick("all", agent.Items.all, agent.Items.all());
+    const pager = listPager({}, props.sort);
+    props.onTabClick("all", pager, pager());
   };
   return (
     <li className="nav-item">
@@ -58,6 +66,20 @@ const TagFilterTab = (props) => {
   );
 };
 
+const SearchFilterTab = (props) => {
+  if (!props.searchQuery) {
+    return null;
+  }
+
+  return (
+    <li className="nav-item">
+      <button type="button" className="nav-link active">
+        <i className="ion-search"></i> {props.searchQuery}
+      </button>
+    </li>
+  );
+};
+
 const mapStateToProps = (state) => ({
   ...state.itemList,
   tags: state.home.tags,
@@ -67,12 +89,36 @@ const mapStateToProps = (state) => ({
 const mapDispatchToProps = (dispatch) => ({
   onTabClick: (tab, pager, payload) =>
     dispatch({ type: CHANGE_TAB, tab, pager, payload }),
+  onSortChange: (sort, pager, payload) =>
+    dispatch({ type: CHANGE_SORT, sort, pager, payload }),
+  onLoadMore: (pager, page) =>
+    dispatch({ type: ITEM_LIST_PAGE_LOADED, pager, payload: pager(page) }),
 });
 
 const MainView = (props) => {
+  const [, setSearchParams] = useSearchParams();
+
+  const changeSort = (sort) => {
+    setSearchParams(
+      (params) => {
+        const next = new URLSearchParams(params);
+        if (sort) {
+          next.set("sort", sort);
+        } else {
+          next.delete("sort");
+        }
+        return next;
+      },
+      { replace: true }
+    );
+
+    const pager = listPager({ query: props.searchQuery, tag: props.tag }, sort);
+    props.onSortChange(sort, pager, pager());
+  };
+
   return (
     <div>
-      <div className="feed-toggle">
+      <div className="feed-toggle d-flex align-items-center">
         <ul className="nav nav-tabs">
           <YourFeedTab
             token={props.token}
@@ -80,18 +126,34 @@ const MainView = (props) => {
             onTabClick={props.onTabClick}
           />
 
-          <GlobalFeedTab tab={props.tab} onTabClick={props.onTabClick} />
+          <GlobalFeedTab
+            tab={props.tab}
+            sort={props.sort}
+            onTabClick={props.onTabClick}
+          />
 
           <TagFilterTab tag={props.tag} />
+
+          <SearchFilterTab searchQuery={props.searchQuery} />
         </ul>
+
+        {/* the feed is always newest first */}
+        {props.tab === "feed" ? null : (
+          <SortSelect
+            sort={props.sort}
+            searching={!!props.searchQuery}
+            onChange={changeSort}
+          />
+        )}
       </div>
 
       <ItemList
-        pager={props.pager}
+        infinite
         items={props.items}
-        loading={props.loading}
-        itemsCount={props.itemsCount}
-        currentPage={props.currentPage}
+        searchQuery={props.searchQuery}
+        hasMore={!!props.nextPage}
+        loadingMore={props.loadingMore}
+        onLoadMore={() => props.onLoadMore(props.pager, props.nextPage)}
       />
     </div>
   );
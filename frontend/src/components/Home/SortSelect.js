@@ -0,0 +1,52 @@
+import React from "react";
+
+export const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "oldest", label: "Oldest" },
+  { value: "most_favorited", label: "Most favorited" },
+  { value: "most_commented", label: "Most commented" },
+  { value: "price_asc", label: "Price: low to high" },
+  { value: "price_desc", label: "Price: high to low" },
+];
+
+const RELEVANCE = { value: "relevance", label: "Most relevant" };
+
+// The order a list gets when none is picked, which the URL leaves out
+const defaultSort = (searching) => (searching ? "relevance" : "newest");
+
+// The sort order kept in the URL, or "" for the default one
+export const sortFromParams = (searchParams) => {
+  const sort = searchParams.get("sort");
+  return SORT_OPTIONS.some((option) => option.value === sort) ? sort : "";
+};
+
+const SortSelect = ({ sort, searching, onChange }) => {
+  const options = searching ? [RELEVANCE, ...SORT_OPTIONS] : SORT_OPTIONS;
+
+  const handleChange = (ev) => {
+    const value = ev.target.value;
+    onChange(value === defaultSort(searching) ? "" : value);
+  };
+
+  return (
+    <div className="form-inline ml-auto">
+      <label htmlFor="sort-select" className="mr-2">
+        Sort by
+      </label>
+      <select
+        id="sort-select"
+        className="form-control form-control-sm"
+        value={sort || defaultSort(searching)}
+        onChange={handleChange}
+      >
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default SortSelect;
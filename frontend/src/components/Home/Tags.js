@@ -1,5 +1,5 @@
 import React from "react";
-import agent from "../../agent";
+import listPager from "./listPager";
 
 const Tags = (props) => {
   const tags = props.tags;
@@ -11,11 +11,8 @@ const Tags = (props) => {
           {tags.map((tag) => {
             const handleClick = (ev) => {
               ev.preventDefault();
-              props.onClickTag(
-                tag,
-                (page) => agent.Items.byTag(tag, page),
-                agent.Items.byTag(tag)
-              );
+              const pager = listPager({ tag }, props.sort);
+              props.onClickTag(tag, pager, pager());
             };
 
             return (
@@ -1,13 +1,18 @@
 import Banner from "./Banner";
 import MainView from "./MainView";
-import React, { useEffect } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import Tags from "./Tags";
 import agent from "../../agent";
+import listPager from "./listPager";
+import { sortFromParams } from "./SortSelect";
 import { connect } from "react-redux";
+import { useNavigationType, useSearchParams } from "react-router-dom";
 import {
   HOME_PAGE_LOADED,
   HOME_PAGE_UNLOADED,
+  HOME_PAGE_RESTORED,
   APPLY_TAG_FILTER,
+  APPLY_SEARCH_FILTER,
 } from "../../constants/actionTypes";
 
 const Promise = global.Promise;
@@ -16,39 +21,101 @@ const mapStateToProps = (state) => ({
   ...state.home,
   appName: state.common.appName,
   token: state.common.token,
+  searchQuery: state.itemList.searchQuery,
+  sort: state.itemList.sort,
+  items: state.itemList.items,
+  saved: state.itemList.saved,
 });
 
 const mapDispatchToProps = (dispatch) => ({
   onClickTag: (tag, pager, payload) =>
     dispatch({ type: APPLY_TAG_FILTER, tag, pager, payload }),
-  onLoad: (tab, pager, payload) =>
-    dispatch({ type: HOME_PAGE_LOADED, tab, pager, payload }),
-  onUnload: () => dispatch({ type: HOME_PAGE_UNLOADED }),
+  onLoad: (tab, pager, payload, query, sort) =>
+    dispatch({ type: HOME_PAGE_LOADED, tab, pager, payload, query, sort }),
+  onSearch: (query, pager, payload) =>
+    dispatch({ type: APPLY_SEARCH_FILTER, query, pager, payload }),
+  onRestore: (list, payload) =>
+    dispatch({ type: HOME_PAGE_RESTORED, list, payload }),
+  onUnload: (scrollY) => dispatch({ type: HOME_PAGE_UNLOADED, scrollY }),
 });
 
-const Home = ({onLoad, onUnload, tags, onClickTag}) => {
-  const tab = "all";
-  const itemsPromise = agent.Items.all;
+const Home = ({
+  onLoad,
+  onRestore,
+  onUnload,
+  tags,
+  onClickTag,
+  onSearch,
+  searchQuery,
+  sort,
+  items,
+  saved,
+}) => {
+  const [searchParams] = useSearchParams();
+  const navigationType = useNavigationType();
+  // Only the query the page was opened with, later searches come from Banner
+  const [query] = useState(() => searchParams.get("q") || "");
+  const [initialSort] = useState(() => sortFromParams(searchParams));
+  // Coming back to the page (e.g. from an item) shows the list as it was left
+  const [restored] = useState(() =>
+    navigationType === "POP" &&
+    saved &&
+    (saved.list.searchQuery || "") === query &&
+    (saved.list.sort || "") === initialSort
+      ? saved
+      : null
+  );
+  const restoreScroll = useRef(restored?.scrollY);
+  // By the time the page unloads the next one may have replaced it and moved
+  // the scroll position, so keep track of it while the list is showing
+  const scrollY = useRef(0);
 
   useEffect(() => {
+    const onScroll = () => {
+      scrollY.current = window.scrollY;
+    };
+    window.addEventListener("scroll", onScroll, { passive: true });
+    return () => window.removeEventListener("scroll", onScroll);
+  }, []);
+
+  useEffect(() => {
+    const unload = () => onUnload(scrollY.current);
+
+    if (restored) {
+      onRestore(restored.list, agent.Tags.getAll());
+      return unload;
+    }
+
+    const tab = query ? null : "all";
+    const pager = listPager({ query }, initialSort);
+
     onLoad(
       tab,
-      itemsPromise,
-      Promise.all([agent.Tags.getAll(), itemsPromise()])
+      pager,
+      Promise.all([agent.Tags.getAll(), pager()]),
+      query,
+      initialSort
     );
-    return onUnload;
-  }, [onLoad, onUnload, tab, itemsPromise]);
+    return unload;
+  }, [onLoad, onRestore, onUnload, query, initialSort, restored]);
+
+  useEffect(() => {
+    if (items && restoreScroll.current !== undefined) {
+      window.scrollTo(0, restoreScroll.current);
+      restoreScroll.current = undefined;
+    }
+  }, [items]);
 
-    return (
-      <div className="home-page">
-        <Banner />
+  return (
+    <div className="home-page">
+      <Banner searchQuery={searchQuery} sort={sort} onSearch={onSearch} />
 
-        <div className="container page">
-          <Tags tags={tags} onClickTag={onClickTag} />
-          <MainView />
-        </div>
+      <div className="container page">
+        <Tags tags={tags} sort={sort} onClickTag={onClickTag} />
+        <MainView />
       </div>
-    );
-}
+    </div>
+  );
+};
 
-export default connect(mapStateToProps, mapDispatchToProps)(Home);
\ No newline at end of file
+export default connect(mapStateToProps, mapDispatchToProps)(Home);
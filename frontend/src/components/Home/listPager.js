@@ -0,0 +1,15 @@
+import agent from "../../agent";
+
+// Loads the pages of the home list for a search, a tag or all items, in the
+// given sort order. Searches take precedence, like they do in the API.
+const listPager = ({ query, tag }, sort) => {
+  if (query) {
+    return (page) => agent.Items.search(query, page, sort);
+  }
+  if (tag) {
+    return (page) => agent.Items.byTag(tag, page, sort);
+  }
+  return (page) => agent.Items.all(page, sort);
+};
+
+export default listPager;
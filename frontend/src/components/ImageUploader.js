@@ -0,0 +1,128 @@
+import ListErrors from "./ListErrors";
+import React, { useEffect, useRef, useState } from "react";
+import agent from "../agent";
+
+// Keep in line with the backend upload limits (backend/config/index.js)
+const ACCEPTED_TYPES = ["image/jpeg", "image/png", "image/gif"];
+const MAX_BYTES = 5 * 1024 * 1024;
+
+const ImageUploader = ({
+  value,
+  onChange,
+  placeholder,
+  withUrlInput = true,
+}) => {
+  const [dragging, setDragging] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const fileInput = useRef(null);
+
+  // Local previews hold on to the file until they are revoked
+  useEffect(() => {
+    return () => {
+      if (preview) {
+        URL.revokeObjectURL(preview);
+      }
+    };
+  }, [preview]);
+
+  const upload = (file) => {
+    if (!file) {
+      return;
+    }
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+      setError("must be a JPEG, PNG or GIF file");
+      return;
+    }
+    if (file.size > MAX_BYTES) {
+      setError("is larger than 5 MB");
+      return;
+    }
+
+    setError(null);
+    setUploading(true);
+    setPreview(URL.createObjectURL(file));
+    agent.Uploads.image(file).then(
+      (res) => {
+        setUploading(false);
+        setPreview(null);
+        onChange(res.upload.url);
+      },
+      (err) => {
+        setUploading(false);
+        setPreview(null);
+        setError(err.response?.body?.errors?.image || "could not be uploaded");
+      }
+    );
+  };
+
+  const chooseFile = () => fileInput.current.click();
+
+  const onKeyDown = (ev) => {
+    if (ev.key === "Enter" || ev.key === " ") {
+      ev.preventDefault();
+      chooseFile();
+    }
+  };
+
+  const onDragOver = (ev) => {
+    ev.preventDefault();
+    setDragging(true);
+  };
+
+  const onDrop = (ev) => {
+    ev.preventDefault();
+    setDragging(false);
+    upload(ev.dataTransfer.files[0]);
+  };
+
+  const image = preview || value;
+
+  return (
+    <div>
+      <div
+        className={`image-uploader p-3 mb-2 text-center${
+          dragging ? " dragging" : ""
+        }`}
+        role="button"
+        tabIndex={0}
+        onClick={chooseFile}
+        onKeyDown={onKeyDown}
+        onDragOver={onDragOver}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+      >
+        {image ? (
+          <img src={image} alt="preview" className="image-uploader-preview" />
+        ) : null}
+        <p className="m-0 pt-2">
+          {uploading
+            ? "Uploading..."
+            : "Drop an image here or click to choose one"}
+        </p>
+        <input
+          type="file"
+          accept={ACCEPTED_TYPES.join(",")}
+          hidden
+          ref={fileInput}
+          onChange={(ev) => upload(ev.target.files[0])}
+        />
+      </div>
+
+      {withUrlInput ? (
+        <input
+          className="form-control"
+          type="text"
+          placeholder={placeholder}
+          value={value || ""}
+          onChange={(ev) => onChange(ev.target.value)}
+        />
+      ) : null}
+
+      <ListErrors errors={error ? { image: error } : null} />
+    </div>
+  );
+};
+
+export default ImageUploader;
@@ -0,0 +1,133 @@
+import ListErrors from "../ListErrors";
+import MessageForm from "./MessageForm";
+import React, { useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import agent from "../../agent";
+import { connect } from "react-redux";
+import { correspondent } from ".";
+import {
+  CONVERSATION_PAGE_LOADED,
+  INBOX_PAGE_UNLOADED,
+  MESSAGE_SENT,
+  OLDER_MESSAGES_LOADED,
+} from "../../constants/actionTypes";
+
+const Message = ({ message, mine }) => (
+  <div className={`d-flex mb-2 ${mine ? "justify-content-end" : ""}`}>
+    <div
+      className={`message rounded p-2 ${
+        mine ? "bg-primary text-white" : "bg-light text-dark"
+      }`}
+      style={{ maxWidth: "75%" }}
+    >
+      <div style={{ whiteSpace: "pre-wrap" }}>{message.body}</div>
+      <div className="small text-right">
+        {new Date(message.createdAt).toLocaleString()}
+        {mine && message.readAt ? " · Read" : ""}
+      </div>
+    </div>
+  </div>
+);
+
+const mapStateToProps = (state) => ({
+  ...state.inbox,
+  currentUser: state.common.currentUser,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  onLoad: (payload) => dispatch({ type: CONVERSATION_PAGE_LOADED, payload }),
+  onLoadOlder: (payload) => dispatch({ type: OLDER_MESSAGES_LOADED, payload }),
+  onSent: (payload) => dispatch({ type: MESSAGE_SENT, payload }),
+  onUnload: () => dispatch({ type: INBOX_PAGE_UNLOADED }),
+});
+
+// Opening a conversation marks the messages in it as read
+const Conversation = (props) => {
+  const { id } = useParams();
+  const { onLoad, onUnload } = props;
+  useEffect(() => {
+    onLoad(
+      Promise.all([
+        agent.Conversations.markRead(id),
+        agent.Conversations.messages(id),
+      ])
+    );
+    return onUnload;
+  }, [id, onLoad, onUnload]);
+
+  if (props.errors) {
+    return (
+      <div className="container page">
+        <ListErrors errors={props.errors} />
+      </div>
+    );
+  }
+
+  if (!props.conversation) {
+    return <div className="container page py-4">Loading...</div>;
+  }
+
+  const { conversation, currentUser } = props;
+  const other = correspondent(conversation, currentUser);
+  const send = (body) =>
+    agent.Conversations.send(id, { body }).then(props.onSent);
+
+  return (
+    <div className="container page">
+      <div className="d-flex align-items-center my-4">
+        <Link to="/inbox" className="btn btn-sm btn-outline-light mr-3">
+          <i className="ion-chevron-left"></i> Inbox
+        </Link>
+        <Link to={`/@${other.username}`} className="text-white">
+          <img src={other.image} className="user-pic mr-2" alt="" />
+          {other.username}
+        </Link>
+        <span className="text-muted ml-3">
+          {conversation.item ? (
+            <Link to={`/item/${conversation.item.slug}`}>
+              {conversation.item.title}
+            </Link>
+          ) : (
+            "Deleted item"
+          )}
+        </span>
+      </div>
+
+      {props.nextCursor ? (
+        <div className="text-center mb-3">
+          <button
+            type="button"
+            className="btn btn-sm btn-link"
+            onClick={() =>
+              props.onLoadOlder(
+                agent.Conversations.messages(id, props.nextCursor)
+              )
+            }
+          >
+            Load older messages
+          </button>
+        </div>
+      ) : null}
+
+      {props.messages.length === 0 ? (
+        <div className="py-4 no-items">
+          Ask {other.username} anything about this item.
+        </div>
+      ) : null}
+      {props.messages
+        .slice()
+        .reverse()
+        .map((message) => (
+          <Message
+            key={message.id}
+            message={message}
+            mine={message.sender.username === currentUser?.username}
+          />
+        ))}
+
+      <MessageForm send={send} />
+    </div>
+  );
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(Conversation);
@@ -0,0 +1,54 @@
+import ListErrors from "../ListErrors";
+import React, { useState } from "react";
+
+// Writes a message in a conversation. `send` posts the body and returns the
+// request's promise.
+const MessageForm = ({ send }) => {
+  const [body, setBody] = useState("");
+  const [sending, setSending] = useState(false);
+  const [errors, setErrors] = useState(null);
+
+  const submit = (ev) => {
+    ev.preventDefault();
+    setSending(true);
+    send(body).then(
+      () => {
+        setSending(false);
+        setErrors(null);
+        setBody("");
+      },
+      (err) => {
+        setSending(false);
+        setErrors(
+          err.response?.body?.errors || { message: "couldn't be sent" }
+        );
+      }
+    );
+  };
+
+  return (
+    <form className="card message-form mt-3" onSubmit={submit}>
+      <ListErrors errors={errors} />
+      <div className="card-block">
+        <textarea
+          className="form-control"
+          placeholder="Write a message..."
+          value={body}
+          onChange={(ev) => setBody(ev.target.value)}
+          rows="3"
+        ></textarea>
+      </div>
+      <div className="card-footer text-right">
+        <button
+          className="btn btn-sm btn-primary"
+          type="submit"
+          disabled={sending || !body.trim()}
+        >
+          Send Message
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MessageForm;
@@ -0,0 +1,97 @@
+import React, { useEffect } from "react";
+import { Link } from "react-router-dom";
+import agent from "../../agent";
+import { connect } from "react-redux";
+import {
+  INBOX_PAGE_LOADED,
+  INBOX_PAGE_UNLOADED,
+} from "../../constants/actionTypes";
+
+// The other side of the conversation, as seen by `currentUser`
+export const correspondent = (conversation, currentUser) =>
+  conversation.buyer.username === currentUser?.username
+    ? conversation.seller
+    : conversation.buyer;
+
+const ConversationPreview = ({ conversation, currentUser }) => {
+  const other = correspondent(conversation, currentUser);
+  const unread = conversation.unreadCount > 0;
+
+  return (
+    <Link
+      to={`/inbox/${conversation.id}`}
+      className={`list-group-item list-group-item-action bg-dark text-white d-flex align-items-center ${
+        unread ? "font-weight-bold" : ""
+      }`}
+    >
+      <img src={other.image} className="user-pic mr-3" alt={other.username} />
+      <div className="flex-grow-1 text-truncate">
+        <div>
+          {other.username}
+          <span className="text-muted ml-2 small">
+            {conversation.item ? conversation.item.title : "Deleted item"}
+          </span>
+        </div>
+        <div className="small text-truncate">
+          {conversation.lastMessage
+            ? `${conversation.lastMessage.mine ? "You: " : ""}${
+                conversation.lastMessage.body
+              }`
+            : "No messages yet"}
+        </div>
+      </div>
+      {unread ? (
+        <span className="badge badge-primary ml-2">
+          {conversation.unreadCount}
+        </span>
+      ) : null}
+      {conversation.lastMessageAt ? (
+        <span className="text-muted small ml-3">
+          {new Date(conversation.lastMessageAt).toDateString()}
+        </span>
+      ) : null}
+    </Link>
+  );
+};
+
+const mapStateToProps = (state) => ({
+  ...state.inbox,
+  currentUser: state.common.currentUser,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  onLoad: (payload) => dispatch({ type: INBOX_PAGE_LOADED, payload }),
+  onUnload: () => dispatch({ type: INBOX_PAGE_UNLOADED }),
+});
+
+const Inbox = (props) => {
+  const { onLoad, onUnload } = props;
+  useEffect(() => {
+    onLoad(agent.Conversations.all());
+    return onUnload;
+  }, [onLoad, onUnload]);
+
+  return (
+    <div className="container page">
+      <h2 className="my-4">Inbox</h2>
+
+      {!props.conversations ? <div className="py-4">Loading...</div> : null}
+      {props.conversations && props.conversations.length === 0 ? (
+        <div className="py-4 no-items">
+          No messages yet. Write to a seller from one of their items.
+        </div>
+      ) : null}
+      <div className="list-group">
+        {(props.conversations || []).map((conversation) => (
+          <ConversationPreview
+            key={conversation.id}
+            conversation={conversation}
+            currentUser={props.currentUser}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(Inbox);
@@ -1,39 +1,143 @@
+import CommentInput from "./CommentInput";
+import CommentRevisions from "./CommentRevisions";
 import DeleteButton from "./DeleteButton";
+import EditCommentForm from "./EditCommentForm";
 import { Link } from "react-router-dom";
 import React from "react";
+import ReportButton from "../ReportButton";
+import agent from "../../agent";
+import VerifiedBadge from "../VerifiedBadge";
 
+// A comment with its thread of replies below it. Replies are shown inside the
+// card of the comment that started the thread, each one indented under what
+// it replies to.
 const Comment = (props) => {
   const comment = props.comment;
+  const replies = comment.replies || [];
+  const [showReplies, setShowReplies] = React.useState(true);
+  const [replying, setReplying] = React.useState(false);
+  const [editing, setEditing] = React.useState(false);
   const show =
     props.currentUser && props.currentUser.username === comment.seller.username;
+  const editable =
+    show &&
+    comment.editableUntil &&
+    new Date(comment.editableUntil) > new Date();
+
+  const thread = (
+    <React.Fragment>
+      {editing ? (
+        <EditCommentForm
+          slug={props.slug}
+          comment={comment}
+          onClose={() => setEditing(false)}
+        />
+      ) : (
+        <p className={props.nested ? "card-text" : "card-text flex-grow-1"}>
+          {comment.body}
+        </p>
+      )}
+      <div className="d-flex flex-row align-items-center pt-2">
+        <Link to={`/@${comment.seller.username}`} className="user-pic mr-2">
+          <img
+            src={comment.seller.image}
+            className="user-pic rounded-circle"
+            alt={comment.seller.username}
+          />
+        </Link>
+        &nbsp;
+        <Link to={`/@${comment.seller.username}`}>
+          {comment.seller.username}
+          <VerifiedBadge user={comment.seller} />
+        </Link>
+        <span className="text-light mx-2">|</span>
+        <span className="flex-grow-1">
+          {new Date(comment.createdAt).toDateString()}
+        </span>
+        <DeleteButton show={show} slug={props.slug} commentId={comment.id} />
+      </div>
+      {props.currentUser && !show ? (
+        <ReportButton
+          className="align-self-end"
+          send={(report) =>
+            agent.Comments.report(props.slug, comment.id, report)
+          }
+        />
+      ) : null}
+      <div className="d-flex flex-row flex-wrap align-items-center pt-2">
+        {props.currentUser ? (
+          <button
+            type="button"
+            className="btn btn-sm btn-link p-0 mr-3"
+            onClick={() => setReplying(!replying)}
+          >
+            <i className="bi bi-reply"></i> Reply
+          </button>
+        ) : null}
+        {editable && !editing ? (
+          <button
+            type="button"
+            className="btn btn-sm btn-link p-0 mr-3"
+            onClick={() => setEditing(true)}
+          >
+            <i className="ion-edit"></i> Edit
+          </button>
+        ) : null}
+        {replies.length ? (
+          <button
+            type="button"
+            className="btn btn-sm btn-link p-0"
+            onClick={() => setShowReplies(!showReplies)}
+          >
+            <i
+              className={
+                showReplies ? "bi bi-chevron-up" : "bi bi-chevron-down"
+              }
+            ></i>{" "}
+            {showReplies ? "Hide" : "Show"} {comment.repliesCount}{" "}
+            {comment.repliesCount === 1 ? "reply" : "replies"}
+          </button>
+        ) : null}
+        {comment.editedAt ? (
+          <CommentRevisions
+            key={comment.editedAt}
+            load={() => agent.Comments.revisions(props.slug, comment.id)}
+          />
+        ) : null}
+      </div>
+      {replying ? (
+        <CommentInput
+          slug={props.slug}
+          currentUser={props.currentUser}
+          parent={comment.id}
+          onPosted={() => {
+            setReplying(false);
+            setShowReplies(true);
+          }}
+        />
+      ) : null}
+      {showReplies
+        ? replies.map((reply) => (
+            <Comment
+              nested
+              comment={reply}
+              currentUser={props.currentUser}
+              slug={props.slug}
+              key={reply.id}
+            />
+          ))
+        : null}
+    </React.Fragment>
+  );
+
+  if (props.nested) {
+    return <div className="border-left pl-3 mt-3">{thread}</div>;
+  }
+
   return (
     <div className="col-xs-10 col-md-6">
       <div className="card m-2 shadow-sm" style={{ minHeight: "200px" }}>
-        <div className="card-body d-flex flex-column">
-          <p className="card-text flex-grow-1">{comment.body}</p>
-          <div className="d-flex flex-row align-items-center pt-2">
-            <Link to={`/@${comment.seller.username}`} className="user-pic mr-2">
-              <img
-                src={comment.seller.image}
-                className="user-pic rounded-circle"
-                alt={comment.seller.username}
-              />
-            </Link>
-            &nbsp;
-            <Link to={`/@${comment.seller.username}`}>
-              {comment.seller.username}
-            </Link>
-            <span className="text-light mx-2">|</span>
-            <span className="flex-grow-1">
-              {new Date(comment.createdAt).toDateString()}
-            </span>
-            <DeleteButton
-              show={show}
-              slug={props.slug}
-              commentId={comment.id}
-            />
-          </div>
-        </div>
+        <div className="card-body d-flex flex-column">{thread}</div>
       </div>
     </div>
   );
@@ -22,8 +22,12 @@ class CommentInput extends React.Component {
       ev.preventDefault();
       agent.Comments.create(this.props.slug, {
         body: this.state.body,
+        parent: this.props.parent,
       }).then((payload) => {
         this.props.onSubmit(payload);
+        if (this.props.onPosted) {
+          this.props.onPosted();
+        }
       });
       this.setState({ body: "" });
     };
@@ -35,7 +39,9 @@ class CommentInput extends React.Component {
         <div className="card-block">
           <textarea
             className="form-control"
-            placeholder="Write a comment..."
+            placeholder={
+              this.props.parent ? "Write a reply..." : "Write a comment..."
+            }
             value={this.state.body}
             onChange={this.setBody}
             rows="3"
@@ -48,7 +54,7 @@ class CommentInput extends React.Component {
             alt={this.props.currentUser.username}
           />
           <button className="btn btn-sm btn-primary" type="submit">
-            Post Comment
+            {this.props.parent ? "Post Reply" : "Post Comment"}
           </button>
         </div>
       </form>
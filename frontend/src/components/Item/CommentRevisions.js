@@ -0,0 +1,66 @@
+import ListErrors from "../ListErrors";
+import React, { useState } from "react";
+
+// Revisions are shown newest first
+const revisionLabel = (index, count) => {
+  if (index === 0) {
+    return "Current";
+  }
+  return index === count - 1 ? "Original" : "Earlier edit";
+};
+
+// The "edited" marker on a comment, which opens the earlier versions of it.
+// `load` fetches the revisions and returns the request's promise.
+const CommentRevisions = ({ load }) => {
+  const [open, setOpen] = useState(false);
+  const [revisions, setRevisions] = useState(null);
+  const [errors, setErrors] = useState(null);
+
+  const toggle = () => {
+    setOpen(!open);
+    if (open || revisions) {
+      return;
+    }
+
+    load().then(
+      (payload) => setRevisions(payload.revisions),
+      (err) => {
+        setErrors(
+          err.response?.body?.errors || { revisions: "couldn't be loaded" }
+        );
+      }
+    );
+  };
+
+  return (
+    <React.Fragment>
+      <button
+        type="button"
+        className="btn btn-sm btn-link p-0 ml-2 text-secondary"
+        onClick={toggle}
+      >
+        edited
+      </button>
+      {open ? (
+        <div className="comment-revisions small border rounded p-2 my-2 w-100">
+          <ListErrors errors={errors} />
+          {!revisions && !errors ? <p className="mb-0">Loading...</p> : null}
+          {(revisions || [])
+            .slice()
+            .reverse()
+            .map((revision, index) => (
+              <div key={revision.createdAt} className="mb-2">
+                <div className="text-secondary">
+                  {revisionLabel(index, revisions.length)},{" "}
+                  {new Date(revision.createdAt).toLocaleString()}
+                </div>
+                <div>{revision.body}</div>
+              </div>
+            ))}
+        </div>
+      ) : null}
+    </React.Fragment>
+  );
+};
+
+export default CommentRevisions;
@@ -0,0 +1,63 @@
+import ListErrors from "../ListErrors";
+import React, { useState } from "react";
+import agent from "../../agent";
+import { connect } from "react-redux";
+import { COMMENT_UPDATED } from "../../constants/actionTypes";
+
+const mapDispatchToProps = (dispatch) => ({
+  onSaved: (payload) => dispatch({ type: COMMENT_UPDATED, payload }),
+});
+
+// Edits a comment in place of its body. `onClose` is called once it's saved
+// or the edit is cancelled.
+const EditCommentForm = (props) => {
+  const [body, setBody] = useState(props.comment.body);
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState(null);
+
+  const save = (ev) => {
+    ev.preventDefault();
+    setSaving(true);
+    agent.Comments.update(props.slug, props.comment.id, { body }).then(
+      (payload) => {
+        props.onSaved(payload);
+        props.onClose();
+      },
+      (err) => {
+        setSaving(false);
+        setErrors(
+          err.response?.body?.errors || { comment: "couldn't be saved" }
+        );
+      }
+    );
+  };
+
+  return (
+    <form className="edit-comment-form mb-2" onSubmit={save}>
+      <ListErrors errors={errors} />
+      <textarea
+        className="form-control mb-2"
+        aria-label="Comment"
+        rows="3"
+        value={body}
+        onChange={(ev) => setBody(ev.target.value)}
+      ></textarea>
+      <button
+        type="submit"
+        className="btn btn-sm btn-primary mr-2"
+        disabled={saving}
+      >
+        Save
+      </button>
+      <button
+        type="button"
+        className="btn btn-sm btn-link"
+        onClick={props.onClose}
+      >
+        Cancel
+      </button>
+    </form>
+  );
+};
+
+export default connect(() => ({}), mapDispatchToProps)(EditCommentForm);
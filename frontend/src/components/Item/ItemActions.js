@@ -1,11 +1,19 @@
 import { Link } from "react-router-dom";
 import React from "react";
+import ReportButton from "../ReportButton";
 import agent from "../../agent";
 import { connect } from "react-redux";
-import { DELETE_ITEM } from "../../constants/actionTypes";
+import {
+  CONVERSATION_STARTED,
+  DELETE_ITEM,
+  ITEM_STATUS_CHANGED,
+} from "../../constants/actionTypes";
 
 const mapDispatchToProps = (dispatch) => ({
   onClickDelete: (payload) => dispatch({ type: DELETE_ITEM, payload }),
+  onChangeStatus: (payload) => dispatch({ type: ITEM_STATUS_CHANGED, payload }),
+  onMessageSeller: (payload) =>
+    dispatch({ type: CONVERSATION_STARTED, payload }),
 });
 
 const ItemActions = (props) => {
@@ -13,6 +21,9 @@ const ItemActions = (props) => {
   const del = () => {
     props.onClickDelete(agent.Items.del(item.slug));
   };
+  const changeStatus = (status) => () => {
+    props.onChangeStatus(agent.Items.setStatus(item.slug, status));
+  };
   if (props.canModify) {
     return (
       <span>
@@ -23,6 +34,24 @@ const ItemActions = (props) => {
           <i className="ion-edit"></i> Edit Item
         </Link>
 
+        {item.status === "draft" ? (
+          <button
+            className="btn btn-outline-primary btn-sm mr-2"
+            onClick={changeStatus("published")}
+          >
+            <i className="ion-paper-airplane"></i> Publish Item
+          </button>
+        ) : null}
+
+        {item.status === "published" || item.status === "reserved" ? (
+          <button
+            className="btn btn-outline-success btn-sm mr-2"
+            onClick={changeStatus("sold")}
+          >
+            <i className="ion-checkmark-round"></i> Mark as Sold
+          </button>
+        ) : null}
+
         <button className="btn btn-outline-danger btn-sm" onClick={del}>
           <i className="ion-trash-a"></i> Delete Item
         </button>
@@ -30,6 +59,25 @@ const ItemActions = (props) => {
     );
   }
 
+  // signed in users who don't sell the item
+  if (props.canReport) {
+    return (
+      <span>
+        <button
+          className="btn btn-outline-primary btn-sm mr-2"
+          onClick={() =>
+            props.onMessageSeller(agent.Conversations.start(item.slug))
+          }
+        >
+          <i className="ion-email"></i> Message Seller
+        </button>
+        <ReportButton
+          send={(report) => agent.Items.report(item.slug, report)}
+        />
+      </span>
+    );
+  }
+
   return <span></span>;
 };
 
@@ -0,0 +1,75 @@
+import React, { useEffect, useState } from "react";
+
+const ItemGallery = (props) => {
+  const images = props.images;
+  const [current, setCurrent] = useState(0);
+
+  // Start over from the cover when another item is shown
+  useEffect(() => {
+    setCurrent(0);
+  }, [images]);
+
+  if (!images || images.length === 0) {
+    return null;
+  }
+
+  const show = (index) => () => {
+    setCurrent((index + images.length) % images.length);
+  };
+
+  return (
+    <div className="item-gallery">
+      <div className="position-relative">
+        <img
+          src={images[current]}
+          alt={props.title}
+          className="item-img"
+          style={{ height: "500px", width: "100%", borderRadius: "6px" }}
+        />
+        {images.length > 1 ? (
+          <React.Fragment>
+            <button
+              type="button"
+              className="btn btn-dark item-gallery-prev"
+              aria-label="Previous image"
+              onClick={show(current - 1)}
+            >
+              <i className="bi bi-chevron-left"></i>
+            </button>
+            <button
+              type="button"
+              className="btn btn-dark item-gallery-next"
+              aria-label="Next image"
+              onClick={show(current + 1)}
+            >
+              <i className="bi bi-chevron-right"></i>
+            </button>
+          </React.Fragment>
+        ) : null}
+      </div>
+
+      {images.length > 1 ? (
+        <div className="d-flex flex-wrap pt-2">
+          {images.map((image, index) => {
+            return (
+              <button
+                type="button"
+                className={
+                  index === current
+                    ? "item-gallery-thumb active mr-2 mb-2"
+                    : "item-gallery-thumb mr-2 mb-2"
+                }
+                key={`${index}-${image}`}
+                onClick={show(index)}
+              >
+                <img src={image} alt={`${props.title} ${index + 1}`} />
+              </button>
+            );
+          })}
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+export default ItemGallery;
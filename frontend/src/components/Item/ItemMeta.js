@@ -1,6 +1,7 @@
 import ItemActions from "./ItemActions";
 import { Link } from "react-router-dom";
 import React from "react";
+import VerifiedBadge from "../VerifiedBadge";
 
 const ItemMeta = (props) => {
   const item = props.item;
@@ -18,11 +19,16 @@ const ItemMeta = (props) => {
       <div className="flex-grow-1 d-flex flex-column py-2">
         <Link to={`/@${item.seller.username}`} className="seller">
           {item.seller.username}
+          <VerifiedBadge user={item.seller} />
         </Link>
         <span className="date">{new Date(item.createdAt).toDateString()}</span>
       </div>
 
-      <ItemActions canModify={props.canModify} item={item} />
+      <ItemActions
+        canModify={props.canModify}
+        canReport={props.canReport}
+        item={item}
+      />
     </div>
   );
 };
@@ -1,4 +1,5 @@
 import ItemMeta from "./ItemMeta";
+import ItemGallery from "./ItemGallery";
 import CommentContainer from "./CommentContainer";
 import React, { useEffect } from "react";
 import { connect } from "react-redux";
@@ -9,6 +10,9 @@ import {
 } from "../../constants/actionTypes";
 import { getItemAndComments } from "./utils/ItemFetcher";
 import { useParams } from "react-router-dom";
+import { formatPrice } from "../../price";
+import ItemStatus from "../ItemStatus";
+import ListErrors from "../ListErrors";
 
 const mapStateToProps = (state) => ({
   ...state.item,
@@ -47,17 +51,22 @@ const Item = (props) => {
         <div className="text-dark">
           <div className="row bg-white p-4">
             <div className="col-6">
-              <img
-                src={props.item.image}
-                alt={props.item.title}
-                className="item-img"
-                style={{ height: "500px", width: "100%", borderRadius: "6px" }}
-              />
+              <ItemGallery images={props.item.images} title={props.item.title} />
             </div>
 
             <div className="col-6">
-              <h1 id="card-title">{props.item.title}</h1>
-              <ItemMeta item={props.item} canModify={canModify} />
+              <h1 id="card-title">
+                {props.item.title} <ItemStatus status={props.item.status} />
+              </h1>
+              {props.item.price ? (
+                <h3 id="item-price">{formatPrice(props.item.price)}</h3>
+              ) : null}
+              <ItemMeta
+                item={props.item}
+                canModify={canModify}
+                canReport={!!props.currentUser && !canModify}
+              />
+              <ListErrors errors={props.statusErrors} />
               <div dangerouslySetInnerHTML={markup}></div>
               {props.item.tagList.map((tag) => {
                 return (
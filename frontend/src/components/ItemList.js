@@ -1,10 +1,86 @@
 import ItemPreview from "./ItemPreview";
 import ListPagination from "./ListPagination";
-import React from "react";
+import React, { useEffect, useRef } from "react";
+
+const SKELETON_COUNT = 3;
+
+const ItemSkeleton = () => (
+  <div className="card bg-dark border-light p-3 item-skeleton" aria-hidden>
+    <div className="item-skeleton-image mb-3" />
+    <div className="item-skeleton-line" />
+    <div className="item-skeleton-line short" />
+  </div>
+);
+
+const ItemSkeletons = () => (
+  <div className="row" role="status" aria-label="Loading more items">
+    {Array.from({ length: SKELETON_COUNT }, (_, i) => (
+      <div className="col-sm-4 pb-2" key={i}>
+        <ItemSkeleton />
+      </div>
+    ))}
+  </div>
+);
+
+// Loads the next page once the end of the list scrolls into view, with a
+// button for browsers that can't tell
+const LoadMore = ({ onLoadMore }) => {
+  const sentinel = useRef(null);
+  const loadMore = useRef(onLoadMore);
+  loadMore.current = onLoadMore;
+
+  const canObserve = "IntersectionObserver" in window;
+
+  useEffect(() => {
+    if (!canObserve) {
+      return;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          loadMore.current();
+        }
+      },
+      { rootMargin: "400px" }
+    );
+    observer.observe(sentinel.current);
+
+    return () => observer.disconnect();
+  }, [canObserve]);
+
+  return (
+    <div ref={sentinel} className="text-center py-2">
+      {canObserve ? null : (
+        <button
+          type="button"
+          className="btn btn-outline-light"
+          onClick={() => onLoadMore()}
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
 
 const ItemList = (props) => {
   if (!props.items) {
-    return <div className="py-4">Loading...</div>;
+    return props.infinite ? (
+      <div className="container py-2">
+        <ItemSkeletons />
+      </div>
+    ) : (
+      <div className="py-4">Loading...</div>
+    );
+  }
+
+  if (props.items.length === 0 && props.searchQuery) {
+    return (
+      <div className="py-4 no-items">
+        No items found for "{props.searchQuery}".
+      </div>
+    );
   }
 
   if (props.items.length === 0) {
@@ -23,11 +99,20 @@ const ItemList = (props) => {
         })}
       </div>
 
-      <ListPagination
-        pager={props.pager}
-        itemsCount={props.itemsCount}
-        currentPage={props.currentPage}
-      />
+      {props.infinite ? (
+        <React.Fragment>
+          {props.loadingMore ? <ItemSkeletons /> : null}
+          {props.hasMore && !props.loadingMore ? (
+            <LoadMore onLoadMore={props.onLoadMore} />
+          ) : null}
+        </React.Fragment>
+      ) : (
+        <ListPagination
+          pager={props.pager}
+          itemsCount={props.itemsCount}
+          currentPage={props.currentPage}
+        />
+      )}
     </div>
   );
 };
@@ -3,6 +3,9 @@ import { Link } from "react-router-dom";
 import agent from "../agent";
 import { connect } from "react-redux";
 import { ITEM_FAVORITED, ITEM_UNFAVORITED } from "../constants/actionTypes";
+import { formatPrice } from "../price";
+import ItemStatus from "./ItemStatus";
+import VerifiedBadge from "./VerifiedBadge";
 
 const mapDispatchToProps = (dispatch) => ({
   favorite: (slug) =>
@@ -43,8 +46,25 @@ const ItemPreview = (props) => {
       />
       <div className="card-body">
         <Link to={`/item/${item.slug}`} className="text-white">
-          <h3 className="card-title">{item.title}</h3>
-          <p className="card-text crop-text-3">{item.description}</p>
+          {item.highlights ? (
+            <React.Fragment>
+              <h3
+                className="card-title"
+                dangerouslySetInnerHTML={{ __html: item.highlights.title }}
+              ></h3>
+              <p
+                className="card-text crop-text-3"
+                dangerouslySetInnerHTML={{
+                  __html: item.highlights.description,
+                }}
+              ></p>
+            </React.Fragment>
+          ) : (
+            <React.Fragment>
+              <h3 className="card-title">{item.title}</h3>
+              <p className="card-text crop-text-3">{item.description}</p>
+            </React.Fragment>
+          )}
         </Link>
         <div className="d-flex flex-row align-items-center pt-2 item-footer">
           <Link to={`/@${item.seller.username}`} className="flex-grow-1">
@@ -53,7 +73,14 @@ const ItemPreview = (props) => {
               alt={item.seller.username}
               className="user-pic rounded-circle pr-1"
             />
+            <VerifiedBadge user={item.seller} />
           </Link>
+          <ItemStatus status={item.status} />
+          {item.price ? (
+            <span className="item-price font-weight-bold pr-2">
+              {formatPrice(item.price)}
+            </span>
+          ) : null}
           <button className="btn btn-outline-secondary" onClick={handleClick}>
             <i className="ion-heart"></i> {item.favoritesCount}
           </button>
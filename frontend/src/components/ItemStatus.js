@@ -0,0 +1,24 @@
+import React from "react";
+
+// Published items need no badge, they are what the market is made of
+const BADGES = {
+  draft: { label: "Draft", className: "badge-light" },
+  reserved: { label: "Reserved", className: "badge-warning" },
+  sold: { label: "Sold", className: "badge-success" },
+  archived: { label: "Archived", className: "badge-dark" },
+};
+
+const ItemStatus = (props) => {
+  const badge = BADGES[props.status];
+  if (!badge) {
+    return null;
+  }
+
+  return (
+    <span className={`badge ${badge.className} item-status p-2 mx-1`}>
+      {badge.label}
+    </span>
+  );
+};
+
+export default ItemStatus;
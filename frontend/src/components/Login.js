@@ -1,5 +1,6 @@
 import { Link } from "react-router-dom";
 import ListErrors from "./ListErrors";
+import TooManyLogins from "./TooManyLogins";
 import React from "react";
 import agent from "../agent";
 import { connect } from "react-redux";
@@ -16,8 +17,10 @@ const mapDispatchToProps = (dispatch) => ({
     dispatch({ type: UPDATE_FIELD_AUTH, key: "email", value }),
   onChangePassword: (value) =>
     dispatch({ type: UPDATE_FIELD_AUTH, key: "password", value }),
-  onSubmit: (email, password) =>
-    dispatch({ type: LOGIN, payload: agent.Auth.login(email, password) }),
+  onChangeCode: (value) =>
+    dispatch({ type: UPDATE_FIELD_AUTH, key: "code", value }),
+  onSubmit: (email, password, code) =>
+    dispatch({ type: LOGIN, payload: agent.Auth.login(email, password, code) }),
   onUnload: () => dispatch({ type: LOGIN_PAGE_UNLOADED }),
 });
 
@@ -26,9 +29,10 @@ class Login extends React.Component {
     super();
     this.changeEmail = (ev) => this.props.onChangeEmail(ev.target.value);
     this.changePassword = (ev) => this.props.onChangePassword(ev.target.value);
-    this.submitForm = (email, password) => (ev) => {
+    this.changeCode = (ev) => this.props.onChangeCode(ev.target.value);
+    this.submitForm = (email, password, code) => (ev) => {
       ev.preventDefault();
-      this.props.onSubmit(email, password);
+      this.props.onSubmit(email, password, code);
     };
   }
 
@@ -39,6 +43,7 @@ class Login extends React.Component {
   render() {
     const email = this.props.email;
     const password = this.props.password;
+    const code = this.props.code;
     return (
       <div className="auth-page">
         <div className="container page text-center text-dark">
@@ -46,9 +51,16 @@ class Login extends React.Component {
             <div className="col-md-6 offset-md-3 col-xs-12 bg-white p-4">
               <h1 className="text-xs-center font-weight-bold pb-4">Sign In</h1>
 
-              <ListErrors errors={this.props.errors} />
+              {this.props.retryAfter ? (
+                <TooManyLogins
+                  errors={this.props.errors}
+                  retryAfter={this.props.retryAfter}
+                />
+              ) : (
+                <ListErrors errors={this.props.errors} />
+              )}
 
-              <form onSubmit={this.submitForm(email, password)}>
+              <form onSubmit={this.submitForm(email, password, code)}>
                 <fieldset>
                   <fieldset className="form-group">
                     <div className="input-group mb-3">
@@ -90,6 +102,31 @@ class Login extends React.Component {
                     </div>
                   </fieldset>
 
+                  {this.props.twoFactorRequired ? (
+                    <fieldset className="form-group">
+                      <div className="input-group mb-3">
+                        <div className="input-group-prepend">
+                          <span
+                            className="input-group-text"
+                            style={{ background: null }}
+                          >
+                            <i className="bi bi-shield-lock-fill text-secondary"></i>
+                          </span>
+                        </div>
+                        <input
+                          className="form-control form-control-lg"
+                          type="text"
+                          inputMode="numeric"
+                          autoComplete="one-time-code"
+                          placeholder="Code from your app, or a recovery code"
+                          value={code || ""}
+                          onChange={this.changeCode}
+                          autoFocus
+                        />
+                      </div>
+                    </fieldset>
+                  ) : null}
+
                   <button
                     className="btn btn-lg btn-primary btn-block"
                     type="submit"
@@ -106,6 +143,11 @@ class Login extends React.Component {
                 </fieldset>
               </form>
               <p className="text-center pt-4">
+                <Link to="/forgot-password" className="text-light">
+                  Forgot password?
+                </Link>
+              </p>
+              <p className="text-center">
                 <Link to="/register" className="text-light">
                   Need an account?
                 </Link>
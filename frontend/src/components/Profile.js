@@ -1,4 +1,6 @@
 import ItemList from "./ItemList";
+import Rating from "./Rating";
+import VerifiedBadge from "./VerifiedBadge";
 import React from "react";
 import { Link } from "react-router-dom";
 import agent from "../agent";
@@ -8,6 +10,7 @@ import {
   UNFOLLOW_USER,
   PROFILE_PAGE_LOADED,
   PROFILE_PAGE_UNLOADED,
+  SELLER_VERIFIED,
 } from "../constants/actionTypes";
 import { withRouterParams } from "./commons";
 
@@ -55,6 +58,62 @@ const FollowUserButton = (props) => {
   );
 };
 
+// Admins can give sellers the verified badge, or take it away again
+const VerifySellerButton = connect(
+  () => ({}),
+  (dispatch) => ({
+    onVerify: (username, verified) =>
+      dispatch({
+        type: SELLER_VERIFIED,
+        payload: agent.Admin.setVerified(username, verified),
+      }),
+  })
+)((props) => {
+  if (!props.isAdmin) {
+    return null;
+  }
+
+  const handleClick = (ev) => {
+    ev.preventDefault();
+    props.onVerify(props.user.username, !props.user.verified);
+  };
+
+  return (
+    <button
+      className="btn btn-sm btn-outline-secondary action-btn ml-2"
+      onClick={handleClick}
+    >
+      {props.user.verified ? "Remove verified badge" : "Verify seller"}
+    </button>
+  );
+});
+
+const PROFILE_TABS = [
+  { key: "items", label: "My Items", path: "" },
+  { key: "sold", label: "Sold Items", path: "/sold" },
+  { key: "favorites", label: "Favorited Items", path: "/favorites" },
+  { key: "reviews", label: "Reviews", path: "/reviews" },
+];
+
+const ProfileTabs = (props) => {
+  return (
+    <ul className="nav nav-tabs outline-active">
+      {PROFILE_TABS.map((tab) => (
+        <li className="nav-item" key={tab.key}>
+          <Link
+            className={
+              tab.key === props.active ? "nav-link active" : "nav-link"
+            }
+            to={`/@${props.username}${tab.path}`}
+          >
+            {tab.label}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
 const mapStateToProps = (state) => ({
   ...state.itemList,
   currentUser: state.common.currentUser,
@@ -93,25 +152,18 @@ class Profile extends React.Component {
 
   renderTabs() {
     return (
-      <ul className="nav nav-tabs outline-active">
-        <li className="nav-item">
-          <Link
-            className="nav-link active"
-            to={`/@${this.props.profile.username}`}
-          >
-            My Items
-          </Link>
-        </li>
+      <ProfileTabs username={this.props.profile.username} active="items" />
+    );
+  }
 
-        <li className="nav-item">
-          <Link
-            className="nav-link"
-            to={`/@${this.props.profile.username}/favorites`}
-          >
-            Favorited Items
-          </Link>
-        </li>
-      </ul>
+  renderContent() {
+    return (
+      <ItemList
+        pager={this.props.pager}
+        items={this.props.items}
+        itemsCount={this.props.itemsCount}
+        state={this.props.currentPage}
+      />
     );
   }
 
@@ -135,7 +187,18 @@ class Profile extends React.Component {
                 className="user-img"
                 alt={profile.username}
               />
-              <h4 className="py-2">{profile.username}</h4>
+              <h4 className="py-2">
+                {profile.username}
+                <VerifiedBadge user={profile} />
+              </h4>
+              {profile.rating ? (
+                <p>
+                  <Rating
+                    value={profile.rating.average}
+                    count={profile.rating.count}
+                  />
+                </p>
+              ) : null}
               <p>{profile.bio}</p>
 
               <EditProfileSettings isUser={isUser} />
@@ -145,6 +208,10 @@ class Profile extends React.Component {
                 follow={this.props.onFollow}
                 unfollow={this.props.onUnfollow}
               />
+              <VerifySellerButton
+                isAdmin={this.props.currentUser?.role === "admin"}
+                user={profile}
+              />
             </div>
           </div>
         </div>
@@ -154,12 +221,7 @@ class Profile extends React.Component {
             <div className="col-xs-12 col-md-10 offset-md-1">
               <div className="items-toggle">{this.renderTabs()}</div>
 
-              <ItemList
-                pager={this.props.pager}
-                items={this.props.items}
-                itemsCount={this.props.itemsCount}
-                state={this.props.currentPage}
-              />
+              {this.renderContent()}
             </div>
           </div>
         </div>
@@ -169,4 +231,4 @@ class Profile extends React.Component {
 }
 
 export default connect(mapStateToProps, mapDispatchToProps)(withRouterParams(Profile));
-export { Profile, mapStateToProps };
+export { Profile, ProfileTabs, mapStateToProps };
@@ -1,6 +1,5 @@
-import { Profile, mapStateToProps } from "./Profile";
+import { Profile, ProfileTabs, mapStateToProps } from "./Profile";
 import React from "react";
-import { Link } from "react-router-dom";
 import agent from "../agent";
 import { connect } from "react-redux";
 import {
@@ -33,22 +32,7 @@ class ProfileFavorites extends Profile {
 
   renderTabs() {
     return (
-      <ul className="nav nav-tabs outline-active">
-        <li className="nav-item">
-          <Link className="nav-link" to={`/@${this.props.profile?.username}`}>
-            My Items
-          </Link>
-        </li>
-
-        <li className="nav-item">
-          <Link
-            className="nav-link active"
-            to={`/@${this.props.profile?.username}/favorites`}
-          >
-            Favorited Items
-          </Link>
-        </li>
-      </ul>
+      <ProfileTabs username={this.props.profile?.username} active="favorites" />
     );
   }
 }
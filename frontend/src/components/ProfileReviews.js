@@ -0,0 +1,215 @@
+import { Profile, ProfileTabs, mapStateToProps } from "./Profile";
+import ListErrors from "./ListErrors";
+import Rating from "./Rating";
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import agent from "../agent";
+import { connect } from "react-redux";
+import {
+  PROFILE_PAGE_UNLOADED,
+  PROFILE_REVIEWS_PAGE_LOADED,
+  REVIEW_DELETED,
+  REVIEW_SUBMITTED,
+} from "../constants/actionTypes";
+import { withRouterParams } from "./commons";
+
+const ReviewForm = ({ items, inProgress, errors, onSubmit }) => {
+  const [rating, setRating] = useState(0);
+  const [body, setBody] = useState("");
+  const [item, setItem] = useState("");
+
+  const submit = (ev) => {
+    ev.preventDefault();
+    onSubmit({ rating, body, item: item || undefined }).then((ok) => {
+      if (ok) {
+        setRating(0);
+        setBody("");
+        setItem("");
+      }
+    });
+  };
+
+  return (
+    <form className="card bg-dark border-light p-3 my-3" onSubmit={submit}>
+      <ListErrors errors={errors} />
+
+      <fieldset className="form-group review-rating">
+        <legend className="col-form-label">Rating</legend>
+        {[1, 2, 3, 4, 5].map((value) => (
+          <button
+            type="button"
+            key={value}
+            className="btn btn-link p-0 mr-1 text-warning"
+            aria-label={`${value} out of 5`}
+            aria-pressed={rating === value}
+            onClick={() => setRating(value)}
+          >
+            <i
+              className={`bi ${value <= rating ? "bi-star-fill" : "bi-star"}`}
+            ></i>
+          </button>
+        ))}
+      </fieldset>
+
+      {items.length ? (
+        <fieldset className="form-group">
+          <select
+            className="form-control"
+            value={item}
+            onChange={(ev) => setItem(ev.target.value)}
+          >
+            <option value="">Not about a particular item</option>
+            {items.map((soldItem) => (
+              <option key={soldItem.slug} value={soldItem.slug}>
+                {soldItem.title}
+              </option>
+            ))}
+          </select>
+        </fieldset>
+      ) : null}
+
+      <fieldset className="form-group">
+        <textarea
+          className="form-control"
+          rows="3"
+          placeholder="How was buying from this seller?"
+          value={body}
+          onChange={(ev) => setBody(ev.target.value)}
+        ></textarea>
+      </fieldset>
+
+      <button
+        className="btn btn-primary align-self-end"
+        type="submit"
+        disabled={inProgress || !rating}
+      >
+        Post Review
+      </button>
+    </form>
+  );
+};
+
+const Review = ({ review, canDelete, onDelete }) => (
+  <div className="card bg-dark border-light p-3 mb-2 review">
+    <div className="d-flex align-items-center">
+      <Link to={`/@${review.reviewer.username}`} className="text-white">
+        <img
+          src={review.reviewer.image}
+          className="user-pic rounded-circle mr-2"
+          alt={review.reviewer.username}
+        />
+        {review.reviewer.username}
+      </Link>
+      <span className="ml-3 text-warning">
+        <Rating value={review.rating} />
+      </span>
+      <span className="ml-auto text-muted small">
+        {new Date(review.createdAt).toDateString()}
+      </span>
+      {canDelete ? (
+        <button
+          type="button"
+          className="btn btn-sm btn-link text-white ml-2"
+          aria-label="Delete review"
+          onClick={onDelete}
+        >
+          <i className="ion-trash-a"></i>
+        </button>
+      ) : null}
+    </div>
+    {review.item ? (
+      <small className="mt-2">
+        Bought <Link to={`/item/${review.item.slug}`}>{review.item.title}</Link>
+      </small>
+    ) : null}
+    {review.body ? <p className="mt-2 mb-0">{review.body}</p> : null}
+  </div>
+);
+
+const mapReviewsStateToProps = (state) => ({
+  ...mapStateToProps(state),
+  ...state.reviews,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  onLoad: (payload) => dispatch({ type: PROFILE_REVIEWS_PAGE_LOADED, payload }),
+  onDelete: (id, payload) => dispatch({ type: REVIEW_DELETED, id, payload }),
+  onSubmit: (payload) => dispatch({ type: REVIEW_SUBMITTED, payload }),
+  onUnload: () => dispatch({ type: PROFILE_PAGE_UNLOADED }),
+});
+
+class ProfileReviews extends Profile {
+  componentDidMount() {
+    const username = this.props.params.username?.substring(1);
+    this.props.onLoad(
+      Promise.all([
+        agent.Profile.get(username),
+        agent.Profile.reviews(username),
+        agent.Items.soldBy(username),
+      ])
+    );
+  }
+
+  componentWillUnmount() {
+    this.props.onUnload();
+  }
+
+  renderTabs() {
+    return (
+      <ProfileTabs username={this.props.profile?.username} active="reviews" />
+    );
+  }
+
+  submitReview(review) {
+    const username = this.props.profile.username;
+    const payload = agent.Profile.review(username, review);
+    this.props.onSubmit(payload);
+    return payload.then(
+      () => true,
+      () => false
+    );
+  }
+
+  deleteReview(id) {
+    const username = this.props.profile.username;
+    this.props.onDelete(id, agent.Profile.deleteReview(username, id));
+  }
+
+  renderContent() {
+    const { currentUser, profile, reviews } = this.props;
+    const canReview = currentUser && currentUser.username !== profile.username;
+
+    return (
+      <div className="py-2">
+        {canReview ? (
+          <ReviewForm
+            items={this.props.soldItems || []}
+            inProgress={this.props.inProgress}
+            errors={this.props.errors}
+            onSubmit={(review) => this.submitReview(review)}
+          />
+        ) : null}
+
+        {!reviews ? <div className="py-4">Loading...</div> : null}
+        {reviews && reviews.length === 0 ? (
+          <div className="py-4 no-items">No reviews yet.</div>
+        ) : null}
+        {(reviews || []).map((review) => (
+          <Review
+            key={review.id}
+            review={review}
+            canDelete={
+              currentUser && currentUser.username === review.reviewer.username
+            }
+            onDelete={() => this.deleteReview(review.id)}
+          />
+        ))}
+      </div>
+    );
+  }
+}
+
+export default connect(
+  mapReviewsStateToProps,
+  mapDispatchToProps
+)(withRouterParams(ProfileReviews));
@@ -0,0 +1,40 @@
+import { Profile, ProfileTabs, mapStateToProps } from "./Profile";
+import React from "react";
+import agent from "../agent";
+import { connect } from "react-redux";
+import {
+  PROFILE_PAGE_LOADED,
+  PROFILE_PAGE_UNLOADED,
+} from "../constants/actionTypes";
+import { withRouterParams } from "./commons";
+
+const mapDispatchToProps = (dispatch) => ({
+  onLoad: (pager, payload) =>
+    dispatch({ type: PROFILE_PAGE_LOADED, pager, payload }),
+  onUnload: () => dispatch({ type: PROFILE_PAGE_UNLOADED }),
+});
+
+class ProfileSold extends Profile {
+  componentDidMount() {
+    const username = this.props.params.username?.substring(1);
+    this.props.onLoad(
+      (page) => agent.Items.soldBy(username, page),
+      Promise.all([agent.Profile.get(username), agent.Items.soldBy(username)])
+    );
+  }
+
+  componentWillUnmount() {
+    this.props.onUnload();
+  }
+
+  renderTabs() {
+    return (
+      <ProfileTabs username={this.props.profile?.username} active="sold" />
+    );
+  }
+}
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps
+)(withRouterParams(ProfileSold));
@@ -0,0 +1,48 @@
+import React from "react";
+
+// Five stars filled up to `value`, rounded to the nearest half star
+const Stars = ({ value }) => {
+  const halves = Math.round(value * 2);
+
+  return (
+    <span className="rating-stars" aria-hidden>
+      {[1, 2, 3, 4, 5].map((star) => {
+        let icon = "bi-star";
+        if (halves >= star * 2) {
+          icon = "bi-star-fill";
+        } else if (halves === star * 2 - 1) {
+          icon = "bi-star-half";
+        }
+        return <i key={star} className={`bi ${icon}`}></i>;
+      })}
+    </span>
+  );
+};
+
+// A seller's average rating, or a single review's rating when there's no count
+const Rating = ({ value, count }) => {
+  if (count === 0) {
+    return <span className="rating text-muted">No reviews yet</span>;
+  }
+
+  const label =
+    count === undefined
+      ? `Rated ${value} out of 5`
+      : `Rated ${value} out of 5 from ${count} ${
+          count === 1 ? "review" : "reviews"
+        }`;
+
+  return (
+    <span className="rating" title={label}>
+      <Stars value={value} />
+      <span className="sr-only">{label}</span>
+      {count === undefined ? null : (
+        <span className="ml-1" aria-hidden>
+          {value} ({count})
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default Rating;
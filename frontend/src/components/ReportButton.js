@@ -0,0 +1,94 @@
+import ListErrors from "./ListErrors";
+import React, { useState } from "react";
+
+const REASONS = [
+  { key: "scam", label: "Scam or fraud" },
+  { key: "spam", label: "Spam" },
+  { key: "abusive", label: "Abusive or hateful" },
+  { key: "prohibited", label: "Prohibited item" },
+  { key: "other", label: "Something else" },
+];
+
+// Lets users flag something for the admins. `send` posts the report and
+// returns the request's promise.
+const ReportButton = ({ send, className }) => {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState(REASONS[0].key);
+  const [details, setDetails] = useState("");
+  const [sending, setSending] = useState(false);
+  const [errors, setErrors] = useState(null);
+  const [sent, setSent] = useState(false);
+
+  if (sent) {
+    return (
+      <span className={`report-sent small ${className || ""}`}>
+        <i className="ion-flag"></i> Reported, thanks
+      </span>
+    );
+  }
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        className={`btn btn-sm btn-link report-btn ${className || ""}`}
+        onClick={() => setOpen(true)}
+      >
+        <i className="ion-flag"></i> Report
+      </button>
+    );
+  }
+
+  const submit = (ev) => {
+    ev.preventDefault();
+    setSending(true);
+    send({ reason, details: details || undefined }).then(
+      () => setSent(true),
+      (err) => {
+        setSending(false);
+        setErrors(err.response?.body?.errors || { report: "couldn't be sent" });
+      }
+    );
+  };
+
+  return (
+    <form className="report-form my-2" onSubmit={submit}>
+      <ListErrors errors={errors} />
+      <select
+        className="form-control form-control-sm mb-2"
+        aria-label="Reason"
+        value={reason}
+        onChange={(ev) => setReason(ev.target.value)}
+      >
+        {REASONS.map((option) => (
+          <option key={option.key} value={option.key}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <textarea
+        className="form-control form-control-sm mb-2"
+        rows="2"
+        placeholder="Anything the admins should know? (optional)"
+        value={details}
+        onChange={(ev) => setDetails(ev.target.value)}
+      ></textarea>
+      <button
+        type="submit"
+        className="btn btn-sm btn-outline-danger mr-2"
+        disabled={sending}
+      >
+        Send Report
+      </button>
+      <button
+        type="button"
+        className="btn btn-sm btn-link"
+        onClick={() => setOpen(false)}
+      >
+        Cancel
+      </button>
+    </form>
+  );
+};
+
+export default ReportButton;
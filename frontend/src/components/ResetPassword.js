@@ -0,0 +1,108 @@
+import { Link, useSearchParams } from "react-router-dom";
+import ListErrors from "./ListErrors";
+import React, { useEffect, useState } from "react";
+import agent from "../agent";
+import { connect } from "react-redux";
+import {
+  UPDATE_FIELD_AUTH,
+  PASSWORD_RESET,
+  PASSWORD_RESET_PAGE_UNLOADED,
+} from "../constants/actionTypes";
+
+const mapStateToProps = (state) => ({ ...state.auth });
+
+const mapDispatchToProps = (dispatch) => ({
+  onChangePassword: (value) =>
+    dispatch({ type: UPDATE_FIELD_AUTH, key: "password", value }),
+  onSubmit: (token, password) =>
+    dispatch({
+      type: PASSWORD_RESET,
+      payload: agent.Auth.resetPassword(token, password),
+    }),
+  onUnload: () => dispatch({ type: PASSWORD_RESET_PAGE_UNLOADED }),
+});
+
+// Opened from the link in the password reset email
+const ResetPassword = (props) => {
+  const { password, onUnload } = props;
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [confirmation, setConfirmation] = useState("");
+  const [mismatch, setMismatch] = useState(false);
+
+  useEffect(() => onUnload, [onUnload]);
+
+  const submit = (ev) => {
+    ev.preventDefault();
+    if (password !== confirmation) {
+      setMismatch(true);
+      return;
+    }
+    setMismatch(false);
+    props.onSubmit(token, password);
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="container page text-center text-dark">
+        <div className="row">
+          <div className="col-md-6 offset-md-3 col-xs-12 bg-white p-4">
+            <h1 className="text-xs-center font-weight-bold pb-4">
+              Choose a New Password
+            </h1>
+
+            {token ? (
+              <React.Fragment>
+                <ListErrors
+                  errors={
+                    mismatch ? { passwords: "don't match" } : props.errors
+                  }
+                />
+
+                <form onSubmit={submit}>
+                  <fieldset className="form-group">
+                    <input
+                      className="form-control form-control-lg"
+                      type="password"
+                      placeholder="New password"
+                      value={password || ""}
+                      onChange={(ev) => props.onChangePassword(ev.target.value)}
+                    />
+                  </fieldset>
+
+                  <fieldset className="form-group">
+                    <input
+                      className="form-control form-control-lg"
+                      type="password"
+                      placeholder="Repeat new password"
+                      value={confirmation}
+                      onChange={(ev) => setConfirmation(ev.target.value)}
+                    />
+                  </fieldset>
+
+                  <button
+                    className="btn btn-lg btn-primary btn-block"
+                    type="submit"
+                    disabled={props.inProgress || !password}
+                  >
+                    SAVE PASSWORD
+                  </button>
+                </form>
+              </React.Fragment>
+            ) : (
+              <p>This link is missing its reset token.</p>
+            )}
+
+            <p className="text-center pt-4">
+              <Link to="/forgot-password" className="text-light">
+                Need a new link?
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(ResetPassword);
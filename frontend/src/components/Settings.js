@@ -1,4 +1,6 @@
+import ImageUploader from "./ImageUploader";
 import ListErrors from "./ListErrors";
+import TwoFactorSettings from "./TwoFactorSettings";
 import React, { useCallback, useEffect, useState } from "react";
 import agent from "../agent";
 import { connect } from "react-redux";
@@ -6,6 +8,7 @@ import {
   SETTINGS_SAVED,
   SETTINGS_PAGE_UNLOADED,
   LOGOUT,
+  TWO_FACTOR_UPDATED,
 } from "../constants/actionTypes";
 
 const SettingsForm = ({ currentUser, onSubmitForm }) => {
@@ -22,6 +25,11 @@ const SettingsForm = ({ currentUser, onSubmitForm }) => {
     setUser(newState);
   }, [user]);
 
+  const updateImage = useCallback(
+    (image) => setUser((user) => ({ ...user, image })),
+    []
+  );
+
   const submitForm = useCallback((ev) => {
     ev.preventDefault();
     const userToSubmit = { ...user };
@@ -35,12 +43,10 @@ const SettingsForm = ({ currentUser, onSubmitForm }) => {
     <form onSubmit={submitForm}>
       <fieldset>
         <fieldset className="form-group">
-          <input
-            className="form-control"
-            type="text"
+          <ImageUploader
             placeholder="URL of profile picture"
             value={user.image}
-            onChange={updateState("image")}
+            onChange={updateImage}
           />
         </fieldset>
 
@@ -101,9 +107,21 @@ const mapStateToProps = (state) => ({
 });
 
 const mapDispatchToProps = (dispatch) => ({
-  onClickLogout: () => dispatch({ type: LOGOUT }),
+  onClickLogout: () =>
+    dispatch({
+      type: LOGOUT,
+      payload: agent.Auth.logout(),
+      skipTracking: true,
+    }),
+  onClickLogoutEverywhere: () =>
+    dispatch({
+      type: LOGOUT,
+      payload: agent.Auth.logoutEverywhere(),
+      skipTracking: true,
+    }),
   onSubmitForm: (user) =>
     dispatch({ type: SETTINGS_SAVED, payload: agent.Auth.save(user) }),
+  onTwoFactorChange: (user) => dispatch({ type: TWO_FACTOR_UPDATED, user }),
   onUnload: () => dispatch({ type: SETTINGS_PAGE_UNLOADED }),
 });
 
@@ -125,12 +143,26 @@ class Settings extends React.Component {
 
               <hr />
 
+              <TwoFactorSettings
+                enabled={this.props.currentUser?.twoFactorEnabled}
+                onChange={this.props.onTwoFactorChange}
+              />
+
+              <hr />
+
               <button
                 className="btn btn-outline-danger"
                 onClick={this.props.onClickLogout}
               >
                 Or click here to logout.
               </button>
+
+              <button
+                className="btn btn-link text-danger d-block px-0 mt-2"
+                onClick={this.props.onClickLogoutEverywhere}
+              >
+                Sign out of all devices
+              </button>
             </div>
           </div>
         </div>
@@ -0,0 +1,27 @@
+import { Link } from "react-router-dom";
+import React from "react";
+
+const waitText = (seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? "a minute" : `${minutes} minutes`;
+};
+
+// Shown instead of the errors when signing in was refused for a while
+const TooManyLogins = ({ errors, retryAfter }) => (
+  <div className="alert alert-warning text-left" role="alert">
+    {errors?.account ? (
+      <React.Fragment>
+        For your security, this account is locked for {waitText(retryAfter)}{" "}
+        after too many failed sign in attempts. If you forgot your password,{" "}
+        <Link to="/forgot-password">reset it</Link> instead.
+      </React.Fragment>
+    ) : (
+      <React.Fragment>
+        There were too many sign in attempts from your network. Please try again
+        in {waitText(retryAfter)}.
+      </React.Fragment>
+    )}
+  </div>
+);
+
+export default TooManyLogins;
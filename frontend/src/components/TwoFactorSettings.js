@@ -0,0 +1,160 @@
+import ListErrors from "./ListErrors";
+import React, { useState } from "react";
+import agent from "../agent";
+
+const RecoveryCodes = ({ codes, onDone }) => (
+  <div className="recovery-codes">
+    <p>
+      Keep these recovery codes somewhere safe. Each one signs you in once if
+      you lose your phone, and they won't be shown again.
+    </p>
+    <ul className="list-unstyled text-monospace">
+      {codes.map((code) => (
+        <li key={code}>{code}</li>
+      ))}
+    </ul>
+    <button type="button" className="btn btn-primary" onClick={onDone}>
+      I've saved them
+    </button>
+  </div>
+);
+
+// Sets up, or turns off, the codes from an authenticator app that signing in
+// asks for. `onChange` gets the user after it was turned on or off.
+const TwoFactorSettings = ({ enabled, onChange }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [inProgress, setInProgress] = useState(false);
+  const [errors, setErrors] = useState(null);
+
+  const request = (payload, onSuccess) => {
+    setInProgress(true);
+    setErrors(null);
+    payload.then(
+      (res) => {
+        setInProgress(false);
+        setCode("");
+        onSuccess(res);
+      },
+      (err) => {
+        setInProgress(false);
+        setErrors(err.response?.body?.errors || { request: "failed" });
+      }
+    );
+  };
+
+  const start = () =>
+    request(agent.Auth.startTwoFactor(), (res) => setSetup(res.twoFactor));
+
+  const confirm = (ev) => {
+    ev.preventDefault();
+    request(agent.Auth.confirmTwoFactor(code), (res) => {
+      setSetup(null);
+      setRecoveryCodes(res.recoveryCodes);
+      onChange(res.user);
+    });
+  };
+
+  const newRecoveryCodes = () =>
+    request(agent.Auth.newRecoveryCodes(code), (res) =>
+      setRecoveryCodes(res.recoveryCodes)
+    );
+
+  const disable = () =>
+    request(agent.Auth.disableTwoFactor(code), (res) => onChange(res.user));
+
+  const codeInput = (
+    <input
+      className="form-control mb-2"
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      placeholder="Code from your app"
+      value={code}
+      onChange={(ev) => setCode(ev.target.value)}
+    />
+  );
+
+  let content;
+  if (recoveryCodes) {
+    content = (
+      <RecoveryCodes
+        codes={recoveryCodes}
+        onDone={() => setRecoveryCodes(null)}
+      />
+    );
+  } else if (setup) {
+    content = (
+      <form onSubmit={confirm}>
+        <p>
+          Scan this QR code with your authenticator app, or enter the key{" "}
+          <code className="two-factor-secret">{setup.secret}</code>, then type
+          the code it shows.
+        </p>
+        <img src={setup.qrCode} alt="QR code for your authenticator app" />
+        {codeInput}
+        <button
+          className="btn btn-primary"
+          type="submit"
+          disabled={inProgress || !code}
+        >
+          Turn On
+        </button>
+      </form>
+    );
+  } else if (enabled) {
+    content = (
+      <div>
+        <p>
+          Two-factor authentication is on. Enter a code from your app to turn it
+          off or to get new recovery codes.
+        </p>
+        {codeInput}
+        <button
+          type="button"
+          className="btn btn-outline-secondary mr-2"
+          disabled={inProgress || !code}
+          onClick={newRecoveryCodes}
+        >
+          New Recovery Codes
+        </button>
+        <button
+          type="button"
+          className="btn btn-outline-danger"
+          disabled={inProgress || !code}
+          onClick={disable}
+        >
+          Turn Off
+        </button>
+      </div>
+    );
+  } else {
+    content = (
+      <div>
+        <p>
+          Protect your account with a code from an authenticator app each time
+          you sign in.
+        </p>
+        <button
+          type="button"
+          className="btn btn-outline-primary"
+          disabled={inProgress}
+          onClick={start}
+        >
+          Set Up Two-Factor Authentication
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="two-factor-settings">
+      <h4>Two-Factor Authentication</h4>
+      <ListErrors errors={errors} />
+      {content}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,19 @@
+import React from "react";
+
+// Shown next to the names of sellers an admin has verified
+const VerifiedBadge = ({ user }) => {
+  if (!user?.verified) {
+    return null;
+  }
+
+  return (
+    <img
+      src={`${process.env.PUBLIC_URL}/verified_seller.svg`}
+      className="verified-badge"
+      alt="Verified seller"
+      title="Verified seller"
+    />
+  );
+};
+
+export default VerifiedBadge;
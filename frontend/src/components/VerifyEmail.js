@@ -0,0 +1,72 @@
+import { Link, useSearchParams } from "react-router-dom";
+import ListErrors from "./ListErrors";
+import React, { useEffect, useState } from "react";
+import agent from "../agent";
+import { connect } from "react-redux";
+import { EMAIL_VERIFIED } from "../constants/actionTypes";
+
+const mapStateToProps = (state) => ({
+  currentUser: state.common.currentUser,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  onVerify: (payload) => dispatch({ type: EMAIL_VERIFIED, payload }),
+});
+
+// Opened from the link in the verification email
+const VerifyEmail = ({ currentUser, onVerify }) => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [verified, setVerified] = useState(false);
+  const [errors, setErrors] = useState(
+    token ? null : { token: "is missing from this link" }
+  );
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    const payload = agent.Auth.verifyEmail(token);
+    onVerify(payload);
+    payload.then(
+      () => setVerified(true),
+      (err) =>
+        setErrors(
+          err.response?.body?.errors || { email: "couldn't be verified" }
+        )
+    );
+  }, [token, onVerify]);
+
+  return (
+    <div className="auth-page">
+      <div className="container page text-center text-dark">
+        <div className="row">
+          <div className="col-md-6 offset-md-3 col-xs-12 bg-white p-4">
+            <h1 className="text-xs-center font-weight-bold pb-4">
+              Confirm Email
+            </h1>
+
+            <ListErrors errors={errors} />
+
+            {verified ? <p>Thanks, your email address is confirmed.</p> : null}
+            {!verified && !errors ? <p>Confirming...</p> : null}
+
+            {verified || errors ? (
+              <p className="text-center pt-2">
+                <Link
+                  to={currentUser ? "/editor" : "/login"}
+                  className="text-light"
+                >
+                  {currentUser ? "List an item" : "Sign in"}
+                </Link>
+              </p>
+            ) : null}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(VerifyEmail);
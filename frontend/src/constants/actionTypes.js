@@ -3,18 +3,24 @@ export const REDIRECT = "REDIRECT";
 export const ITEM_SUBMITTED = "ITEM_SUBMITTED";
 export const SETTINGS_SAVED = "SETTINGS_SAVED";
 export const DELETE_ITEM = "DELETE_ITEM";
+export const ITEM_STATUS_CHANGED = "ITEM_STATUS_CHANGED";
 export const SETTINGS_PAGE_UNLOADED = "SETTINGS_PAGE_UNLOADED";
 export const HOME_PAGE_LOADED = "HOME_PAGE_LOADED";
 export const HOME_PAGE_UNLOADED = "HOME_PAGE_UNLOADED";
+export const HOME_PAGE_RESTORED = "HOME_PAGE_RESTORED";
 export const ITEM_PAGE_LOADED = "ITEM_PAGE_LOADED";
 export const ITEM_PAGE_UNLOADED = "ITEM_PAGE_UNLOADED";
 export const ADD_COMMENT = "ADD_COMMENT";
 export const DELETE_COMMENT = "DELETE_COMMENT";
+export const COMMENT_UPDATED = "COMMENT_UPDATED";
 export const ITEM_FAVORITED = "ITEM_FAVORITED";
 export const ITEM_UNFAVORITED = "ITEM_UNFAVORITED";
 export const SET_PAGE = "SET_PAGE";
+export const ITEM_LIST_PAGE_LOADED = "ITEM_LIST_PAGE_LOADED";
 export const APPLY_TAG_FILTER = "APPLY_TAG_FILTER";
+export const APPLY_SEARCH_FILTER = "APPLY_SEARCH_FILTER";
 export const CHANGE_TAB = "CHANGE_TAB";
+export const CHANGE_SORT = "CHANGE_SORT";
 export const PROFILE_PAGE_LOADED = "PROFILE_PAGE_LOADED";
 export const PROFILE_PAGE_UNLOADED = "PROFILE_PAGE_UNLOADED";
 export const LOGIN = "LOGIN";
@@ -28,6 +34,9 @@ export const EDITOR_PAGE_LOADED = "EDITOR_PAGE_LOADED";
 export const EDITOR_PAGE_UNLOADED = "EDITOR_PAGE_UNLOADED";
 export const ADD_TAG = "ADD_TAG";
 export const REMOVE_TAG = "REMOVE_TAG";
+export const ADD_IMAGE = "ADD_IMAGE";
+export const REMOVE_IMAGE = "REMOVE_IMAGE";
+export const MOVE_IMAGE = "MOVE_IMAGE";
 export const UPDATE_FIELD_AUTH = "UPDATE_FIELD_AUTH";
 export const UPDATE_FIELD_EDITOR = "UPDATE_FIELD_EDITOR";
 export const FOLLOW_USER = "FOLLOW_USER";
@@ -35,3 +44,23 @@ export const UNFOLLOW_USER = "UNFOLLOW_USER";
 export const PROFILE_FAVORITES_PAGE_UNLOADED =
   "PROFILE_FAVORITES_PAGE_UNLOADED";
 export const PROFILE_FAVORITES_PAGE_LOADED = "PROFILE_FAVORITES_PAGE_LOADED";
+export const PROFILE_REVIEWS_PAGE_LOADED = "PROFILE_REVIEWS_PAGE_LOADED";
+export const REVIEW_SUBMITTED = "REVIEW_SUBMITTED";
+export const REVIEW_DELETED = "REVIEW_DELETED";
+export const SELLER_VERIFIED = "SELLER_VERIFIED";
+export const ADMIN_LIST_LOADED = "ADMIN_LIST_LOADED";
+export const ADMIN_BULK_ACTION = "ADMIN_BULK_ACTION";
+export const ADMIN_USER_UPDATED = "ADMIN_USER_UPDATED";
+export const ADMIN_PAGE_UNLOADED = "ADMIN_PAGE_UNLOADED";
+export const PASSWORD_RESET_REQUESTED = "PASSWORD_RESET_REQUESTED";
+export const PASSWORD_RESET = "PASSWORD_RESET";
+export const PASSWORD_RESET_PAGE_UNLOADED = "PASSWORD_RESET_PAGE_UNLOADED";
+export const EMAIL_VERIFIED = "EMAIL_VERIFIED";
+export const TWO_FACTOR_UPDATED = "TWO_FACTOR_UPDATED";
+export const INBOX_PAGE_LOADED = "INBOX_PAGE_LOADED";
+export const INBOX_PAGE_UNLOADED = "INBOX_PAGE_UNLOADED";
+export const CONVERSATION_PAGE_LOADED = "CONVERSATION_PAGE_LOADED";
+export const CONVERSATION_STARTED = "CONVERSATION_STARTED";
+export const OLDER_MESSAGES_LOADED = "OLDER_MESSAGES_LOADED";
+export const MESSAGE_SENT = "MESSAGE_SENT";
+export const UNREAD_MESSAGES_LOADED = "UNREAD_MESSAGES_LOADED";
@@ -4,7 +4,9 @@ import {
   ASYNC_END,
   LOGIN,
   LOGOUT,
+  PASSWORD_RESET,
   REGISTER,
+  SETTINGS_SAVED,
 } from "./constants/actionTypes";
 
 const promiseMiddleware = (store) => (next) => (action) => {
@@ -44,18 +46,31 @@ const promiseMiddleware = (store) => (next) => (action) => {
   next(action);
 };
 
-const localStorageMiddleware = (store) => (next) => (action) => {
-  if (action.type === REGISTER || action.type === LOGIN) {
-    if (!action.error) {
-      window.localStorage.setItem("jwt", action.payload.user.token);
-      agent.setToken(action.payload.user.token);
+const localStorageMiddleware = (store) => {
+  agent.onSessionExpired(() => store.dispatch({ type: LOGOUT }));
+
+  return (next) => (action) => {
+    if (
+      action.type === REGISTER ||
+      action.type === LOGIN ||
+      action.type === PASSWORD_RESET
+    ) {
+      if (!action.error && action.payload.user) {
+        agent.setSession(action.payload.user);
+      }
+    } else if (
+      action.type === SETTINGS_SAVED &&
+      !action.error &&
+      action.payload.user.refreshToken
+    ) {
+      // changing the password ends the other sessions and starts a new one
+      agent.setSession(action.payload.user);
+    } else if (action.type === LOGOUT) {
+      agent.setSession(null);
     }
-  } else if (action.type === LOGOUT) {
-    window.localStorage.setItem("jwt", "");
-    agent.setToken(null);
-  }
 
-  next(action);
+    next(action);
+  };
 };
 
 function isPromise(v) {
@@ -0,0 +1,35 @@
+// Must match the currencies accepted by the backend (backend/lib/currency.js)
+export const CURRENCIES = [
+  "USD",
+  "EUR",
+  "GBP",
+  "ILS",
+  "CAD",
+  "AUD",
+  "CHF",
+  "JPY",
+  "INR",
+  "BRL",
+];
+
+export const DEFAULT_CURRENCY = "USD";
+
+// Prices travel in the currency's minor unit (e.g. cents), the number of
+// decimals comes from Intl so that JPY and friends are handled too.
+const minorDigits = (currency) =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency,
+  }).resolvedOptions().maximumFractionDigits;
+
+export const formatPrice = (price) =>
+  new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: price.currency,
+  }).format(price.amount / Math.pow(10, minorDigits(price.currency)));
+
+export const toMinorUnits = (value, currency) =>
+  Math.round(Number(value) * Math.pow(10, minorDigits(currency)));
+
+export const fromMinorUnits = (amount, currency) =>
+  (amount / Math.pow(10, minorDigits(currency))).toFixed(minorDigits(currency));
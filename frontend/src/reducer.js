@@ -1,20 +1,26 @@
 import item from "./reducers/item";
 import itemList from "./reducers/itemList";
+import admin from "./reducers/admin";
 import auth from "./reducers/auth";
 import { combineReducers } from "redux";
 import common from "./reducers/common";
 import editor from "./reducers/editor";
 import home from "./reducers/home";
+import inbox from "./reducers/inbox";
 import profile from "./reducers/profile";
+import reviews from "./reducers/reviews";
 import settings from "./reducers/settings";
 
 export default combineReducers({
   item,
   itemList,
+  admin,
   auth,
   common,
   editor,
   home,
+  inbox,
   profile,
+  reviews,
   settings,
 });
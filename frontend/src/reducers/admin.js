@@ -0,0 +1,92 @@
+import {
+  ADMIN_BULK_ACTION,
+  ADMIN_LIST_LOADED,
+  ADMIN_PAGE_UNLOADED,
+  ADMIN_USER_UPDATED,
+  ASYNC_START,
+} from "../constants/actionTypes";
+
+// Items are told apart by slug, comments by id and users by username
+export const recordKey = (tab, record) => {
+  if (tab === "items") {
+    return record.slug;
+  }
+  if (tab === "users") {
+    return record.username;
+  }
+  return record.id;
+};
+
+// The hide and unhide responses wrap the record, e.g. { item }
+const unwrap = (tab, response) => response[tab.replace(/s$/, "")];
+
+const reducer = (state = {}, action) => {
+  switch (action.type) {
+    case ADMIN_LIST_LOADED:
+      return {
+        filter: action.filter,
+        page: action.page,
+        records: action.error ? [] : action.payload[action.tab] || [],
+        count: action.error ? 0 : action.payload[`${action.tab}Count`],
+        errors: action.error ? action.payload.errors : null,
+      };
+    case ASYNC_START:
+      if (
+        action.subtype === ADMIN_BULK_ACTION ||
+        action.subtype === ADMIN_USER_UPDATED
+      ) {
+        return { ...state, inProgress: true };
+      }
+      return state;
+    case ADMIN_BULK_ACTION: {
+      if (action.error) {
+        return { ...state, inProgress: false, errors: action.payload.errors };
+      }
+      if (action.action === "delete") {
+        return {
+          ...state,
+          inProgress: false,
+          errors: null,
+          records: state.records.filter(
+            (record) => !action.keys.includes(recordKey(action.tab, record))
+          ),
+          count: state.count - action.keys.length,
+        };
+      }
+      const updated = action.payload.map((response) =>
+        unwrap(action.tab, response)
+      );
+      return {
+        ...state,
+        inProgress: false,
+        errors: null,
+        records: state.records.map(
+          (record) =>
+            updated.find(
+              (update) =>
+                recordKey(action.tab, update) === recordKey(action.tab, record)
+            ) || record
+        ),
+      };
+    }
+    case ADMIN_USER_UPDATED:
+      return {
+        ...state,
+        inProgress: false,
+        errors: action.error ? action.payload.errors : null,
+        records: action.error
+          ? state.records
+          : state.records.map((record) =>
+              record.username === action.payload.user.username
+                ? action.payload.user
+                : record
+            ),
+      };
+    case ADMIN_PAGE_UNLOADED:
+      return {};
+    default:
+      return state;
+  }
+};
+
+export default reducer;
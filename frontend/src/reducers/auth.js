@@ -5,22 +5,48 @@ import {
   REGISTER_PAGE_UNLOADED,
   ASYNC_START,
   UPDATE_FIELD_AUTH,
+  PASSWORD_RESET_REQUESTED,
+  PASSWORD_RESET,
+  PASSWORD_RESET_PAGE_UNLOADED,
 } from "../constants/actionTypes";
 
 const reducer = (state = {}, action) => {
   switch (action.type) {
     case LOGIN:
+      return {
+        ...state,
+        inProgress: false,
+        errors: action.error ? action.payload.errors : null,
+        // the password was right, now it needs a code too
+        twoFactorRequired: !!(action.error && action.payload.twoFactorRequired),
+        // seconds to wait after too many attempts
+        retryAfter: action.error ? action.payload.retryAfter : null,
+      };
     case REGISTER:
+    case PASSWORD_RESET:
+      return {
+        ...state,
+        inProgress: false,
+        errors: action.error ? action.payload.errors : null,
+      };
+    case PASSWORD_RESET_REQUESTED:
       return {
         ...state,
         inProgress: false,
         errors: action.error ? action.payload.errors : null,
+        resetRequested: !action.error,
       };
     case LOGIN_PAGE_UNLOADED:
     case REGISTER_PAGE_UNLOADED:
+    case PASSWORD_RESET_PAGE_UNLOADED:
       return {};
     case ASYNC_START:
-      if (action.subtype === LOGIN || action.subtype === REGISTER) {
+      if (
+        action.subtype === LOGIN ||
+        action.subtype === REGISTER ||
+        action.subtype === PASSWORD_RESET_REQUESTED ||
+        action.subtype === PASSWORD_RESET
+      ) {
         return { ...state, inProgress: true };
       }
       break;
@@ -15,12 +15,22 @@ import {
   SETTINGS_PAGE_UNLOADED,
   LOGIN_PAGE_UNLOADED,
   REGISTER_PAGE_UNLOADED,
+  ADMIN_PAGE_UNLOADED,
+  PASSWORD_RESET,
+  PASSWORD_RESET_PAGE_UNLOADED,
+  EMAIL_VERIFIED,
+  TWO_FACTOR_UPDATED,
+  CONVERSATION_STARTED,
+  CONVERSATION_PAGE_LOADED,
+  UNREAD_MESSAGES_LOADED,
+  INBOX_PAGE_UNLOADED,
 } from "../constants/actionTypes";
 
 const defaultState = {
   appName: "Anythink Market",
   token: null,
   viewChangeCounter: 0,
+  unreadMessages: 0,
 };
 
 const reducer = (state = defaultState, action) => {
@@ -35,8 +45,19 @@ const reducer = (state = defaultState, action) => {
     case REDIRECT:
       return { ...state, redirectTo: null };
     case LOGOUT:
-      return { ...state, redirectTo: "/", token: null, currentUser: null };
+      return {
+        ...state,
+        redirectTo: "/",
+        token: null,
+        currentUser: null,
+        unreadMessages: 0,
+      };
     case ITEM_SUBMITTED: {
+      // refused items, e.g. from sellers with an unverified email, stay in
+      // the editor with its errors
+      if (action.error) {
+        return state;
+      }
       const redirectUrl = `/item/${action.payload.item.slug}`;
       return { ...state, redirectTo: redirectUrl };
     }
@@ -46,6 +67,17 @@ const reducer = (state = defaultState, action) => {
         redirectTo: action.error ? null : "/",
         currentUser: action.error ? null : action.payload.user,
       };
+    case PASSWORD_RESET:
+      // users with two-factor sign in continue with the new password there
+      if (!action.error && !action.payload.user) {
+        return { ...state, redirectTo: "/login" };
+      }
+      return {
+        ...state,
+        redirectTo: action.error ? null : "/",
+        token: action.error ? null : action.payload.user.token,
+        currentUser: action.error ? null : action.payload.user,
+      };
     case LOGIN:
       return {
         ...state,
@@ -60,8 +92,45 @@ const reducer = (state = defaultState, action) => {
         token: action.error ? null : action.payload.user.token,
         currentUser: action.error ? null : action.payload.user,
       };
+    case EMAIL_VERIFIED:
+      // the link may have been opened while signed in as someone else
+      return !action.error &&
+        state.currentUser?.username === action.payload.user.username
+        ? {
+            ...state,
+            currentUser: {
+              ...state.currentUser,
+              email: action.payload.user.email,
+              emailVerified: action.payload.user.emailVerified,
+            },
+          }
+        : state;
+    case TWO_FACTOR_UPDATED:
+      return {
+        ...state,
+        currentUser: {
+          ...state.currentUser,
+          twoFactorEnabled: action.user.twoFactorEnabled,
+        },
+      };
     case DELETE_ITEM:
       return { ...state, redirectTo: "/" };
+    case CONVERSATION_STARTED:
+      return action.error
+        ? state
+        : {
+            ...state,
+            redirectTo: `/inbox/${action.payload.conversation.id}`,
+          };
+    case UNREAD_MESSAGES_LOADED:
+      return action.error
+        ? state
+        : { ...state, unreadMessages: action.payload.unreadCount };
+    case CONVERSATION_PAGE_LOADED:
+      // opening a conversation reads it, which leaves fewer unread
+      return action.error
+        ? state
+        : { ...state, unreadMessages: action.payload[0].unreadCount };
     case ITEM_PAGE_UNLOADED:
     case EDITOR_PAGE_UNLOADED:
     case HOME_PAGE_UNLOADED:
@@ -70,6 +139,9 @@ const reducer = (state = defaultState, action) => {
     case SETTINGS_PAGE_UNLOADED:
     case LOGIN_PAGE_UNLOADED:
     case REGISTER_PAGE_UNLOADED:
+    case ADMIN_PAGE_UNLOADED:
+    case PASSWORD_RESET_PAGE_UNLOADED:
+    case INBOX_PAGE_UNLOADED:
       return { ...state, viewChangeCounter: state.viewChangeCounter + 1 };
     default:
       return state;
@@ -5,21 +5,31 @@ import {
   ASYNC_START,
   ADD_TAG,
   REMOVE_TAG,
+  ADD_IMAGE,
+  REMOVE_IMAGE,
+  MOVE_IMAGE,
   UPDATE_FIELD_EDITOR,
 } from "../constants/actionTypes";
+import { DEFAULT_CURRENCY, fromMinorUnits } from "../price";
 
 const reducer = (state = {}, action) => {
   switch (action.type) {
-    case EDITOR_PAGE_LOADED:
+    case EDITOR_PAGE_LOADED: {
+      const price = action.payload ? action.payload.item.price : null;
       return {
         ...state,
         itemSlug: action.payload ? action.payload.item.slug : "",
         title: action.payload ? action.payload.item.title : "",
         description: action.payload ? action.payload.item.description : "",
-        image: action.payload ? action.payload.item.image : "",
+        images: action.payload ? action.payload.item.images : [],
+        imageInput: "",
+        price: price ? fromMinorUnits(price.amount, price.currency) : "",
+        currency: price ? price.currency : DEFAULT_CURRENCY,
+        status: action.payload ? action.payload.item.status : "",
         tagInput: "",
         tagList: action.payload ? action.payload.item.tagList : [],
       };
+    }
     case EDITOR_PAGE_UNLOADED:
       return {};
     case ITEM_SUBMITTED:
@@ -44,6 +54,27 @@ const reducer = (state = {}, action) => {
         ...state,
         tagList: state.tagList.filter((tag) => tag !== action.tag),
       };
+    case ADD_IMAGE:
+      // Uploads hand over their URL, the text field adds what was typed in
+      if (action.image) {
+        return { ...state, images: state.images.concat([action.image]) };
+      }
+      return {
+        ...state,
+        images: state.images.concat([state.imageInput]),
+        imageInput: "",
+      };
+    case REMOVE_IMAGE:
+      return {
+        ...state,
+        images: state.images.filter((image, index) => index !== action.index),
+      };
+    case MOVE_IMAGE: {
+      const images = state.images.slice();
+      const [image] = images.splice(action.from, 1);
+      images.splice(action.to, 0, image);
+      return { ...state, images };
+    }
     case UPDATE_FIELD_EDITOR:
       return { ...state, [action.key]: action.value };
     default:
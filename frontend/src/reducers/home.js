@@ -1,4 +1,8 @@
-import { HOME_PAGE_LOADED, HOME_PAGE_UNLOADED } from "../constants/actionTypes";
+import {
+  HOME_PAGE_LOADED,
+  HOME_PAGE_RESTORED,
+  HOME_PAGE_UNLOADED,
+} from "../constants/actionTypes";
 
 const reducer = (state = {}, action) => {
   switch (action.type) {
@@ -7,6 +11,11 @@ const reducer = (state = {}, action) => {
         ...state,
         tags: action.payload[0].tags,
       };
+    case HOME_PAGE_RESTORED:
+      return {
+        ...state,
+        tags: action.payload.tags,
+      };
     case HOME_PAGE_UNLOADED:
       return {};
     default:
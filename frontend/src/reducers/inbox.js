@@ -0,0 +1,52 @@
+import {
+  CONVERSATION_PAGE_LOADED,
+  INBOX_PAGE_LOADED,
+  INBOX_PAGE_UNLOADED,
+  MESSAGE_SENT,
+  OLDER_MESSAGES_LOADED,
+} from "../constants/actionTypes";
+
+// Messages are kept newest first, the way the API pages them
+const reducer = (state = {}, action) => {
+  switch (action.type) {
+    case INBOX_PAGE_LOADED:
+      return {
+        ...state,
+        conversations: action.error ? [] : action.payload.conversations,
+        conversationsCount: action.error
+          ? 0
+          : action.payload.conversationsCount,
+      };
+    case CONVERSATION_PAGE_LOADED:
+      if (action.error) {
+        return {
+          errors: action.payload?.errors || { conversation: "is gone" },
+        };
+      }
+      return {
+        conversation: action.payload[0].conversation,
+        messages: action.payload[1].messages,
+        nextCursor: action.payload[1].nextCursor,
+      };
+    case OLDER_MESSAGES_LOADED:
+      if (action.error) {
+        return state;
+      }
+      return {
+        ...state,
+        messages: state.messages.concat(action.payload.messages),
+        nextCursor: action.payload.nextCursor,
+      };
+    case MESSAGE_SENT:
+      return {
+        ...state,
+        messages: [action.payload.message].concat(state.messages || []),
+      };
+    case INBOX_PAGE_UNLOADED:
+      return {};
+    default:
+      return state;
+  }
+};
+
+export default reducer;
@@ -3,8 +3,45 @@ import {
   ITEM_PAGE_UNLOADED,
   ADD_COMMENT,
   DELETE_COMMENT,
+  COMMENT_UPDATED,
+  ITEM_STATUS_CHANGED,
 } from "../constants/actionTypes";
 
+// Adds `reply` under its parent, wherever that is in the threads
+const addReply = (comments, reply) =>
+  comments.map((comment) =>
+    comment.id === reply.parent
+      ? {
+          ...comment,
+          replies: (comment.replies || []).concat([reply]),
+          repliesCount: (comment.repliesCount || 0) + 1,
+        }
+      : { ...comment, replies: addReply(comment.replies || [], reply) }
+  );
+
+// Removes a comment from the threads, along with the replies to it
+const removeComment = (comments, commentId) =>
+  comments
+    .filter((comment) => comment.id !== commentId)
+    .map((comment) => {
+      const replies = removeComment(comment.replies || [], commentId);
+      return {
+        ...comment,
+        replies,
+        repliesCount:
+          (comment.repliesCount || 0) -
+          ((comment.replies || []).length - replies.length),
+      };
+    });
+
+// Puts an edited comment in place of the old one, keeping its replies
+const updateComment = (comments, updated) =>
+  comments.map((comment) =>
+    comment.id === updated.id
+      ? { ...comment, ...updated, replies: comment.replies }
+      : { ...comment, replies: updateComment(comment.replies || [], updated) }
+  );
+
 const reducer = (state = {}, action) => {
   switch (action.type) {
     case ITEM_PAGE_LOADED:
@@ -15,21 +52,32 @@ const reducer = (state = {}, action) => {
       };
     case ITEM_PAGE_UNLOADED:
       return {};
+    case ITEM_STATUS_CHANGED:
+      return {
+        ...state,
+        item: action.error ? state.item : action.payload.item,
+        statusErrors: action.error ? action.payload.errors : null,
+      };
     case ADD_COMMENT:
       return {
         ...state,
         commentErrors: action.error ? action.payload.errors : null,
         comments: action.error
-          ? null
+          ? state.comments
+          : action.payload.comment.parent
+          ? addReply(state.comments || [], action.payload.comment)
           : (state.comments || []).concat([action.payload.comment]),
       };
-    case DELETE_COMMENT: {
-      const commentId = action.commentId;
+    case COMMENT_UPDATED:
+      return {
+        ...state,
+        comments: updateComment(state.comments || [], action.payload.comment),
+      };
+    case DELETE_COMMENT:
       return {
         ...state,
-        comments: state.comments.filter((comment) => comment.id !== commentId),
+        comments: removeComment(state.comments, action.commentId),
       };
-    }
     default:
       return state;
   }
@@ -2,16 +2,57 @@ import {
   ITEM_FAVORITED,
   ITEM_UNFAVORITED,
   SET_PAGE,
+  ITEM_LIST_PAGE_LOADED,
+  ASYNC_START,
   APPLY_TAG_FILTER,
+  APPLY_SEARCH_FILTER,
   HOME_PAGE_LOADED,
   HOME_PAGE_UNLOADED,
+  HOME_PAGE_RESTORED,
   CHANGE_TAB,
+  CHANGE_SORT,
   PROFILE_PAGE_LOADED,
   PROFILE_PAGE_UNLOADED,
   PROFILE_FAVORITES_PAGE_LOADED,
   PROFILE_FAVORITES_PAGE_UNLOADED,
 } from "../constants/actionTypes";
 
+// Where the next page of an endlessly scrolling list starts: the cursor the
+// API returned, or else the number of items loaded so far, until all of
+// `itemsCount` are there.
+const nextPage = (payload, items) => {
+  if (payload?.nextCursor) {
+    return { after: payload.nextCursor };
+  }
+  if (items && items.length < payload.itemsCount) {
+    return { offset: items.length };
+  }
+  return null;
+};
+
+const appendPage = (state, action) => {
+  // a page requested before switching tabs or filters belongs to another list
+  if (action.pager !== state.pager) {
+    return state;
+  }
+  if (action.error) {
+    return { ...state, loadingMore: false, nextPage: null };
+  }
+
+  const loaded = new Set(state.items.map((item) => item.slug));
+  const added = action.payload.items.filter((item) => !loaded.has(item.slug));
+  const items = state.items.concat(added);
+
+  return {
+    ...state,
+    items,
+    itemsCount: action.payload.itemsCount,
+    loadingMore: false,
+    // a page with nothing new means the list moved under us, stop there
+    nextPage: added.length ? nextPage(action.payload, items) : null,
+  };
+};
+
 const reducer = (state = {}, action) => {
   switch (action.type) {
     case ITEM_FAVORITED:
@@ -36,6 +77,13 @@ const reducer = (state = {}, action) => {
         itemsCount: action.payload.itemsCount,
         currentPage: action.page,
       };
+    case ITEM_LIST_PAGE_LOADED:
+      return appendPage(state, action);
+    case ASYNC_START:
+      if (action.subtype === ITEM_LIST_PAGE_LOADED) {
+        return { ...state, loadingMore: true };
+      }
+      return state;
     case APPLY_TAG_FILTER:
       return {
         ...state,
@@ -44,7 +92,23 @@ const reducer = (state = {}, action) => {
         itemsCount: action.payload.itemsCount,
         tab: null,
         tag: action.tag,
+        searchQuery: null,
         currentPage: 0,
+        nextPage: nextPage(action.payload, action.payload.items),
+        loadingMore: false,
+      };
+    case APPLY_SEARCH_FILTER:
+      return {
+        ...state,
+        pager: action.pager,
+        items: action.payload.items,
+        itemsCount: action.payload.itemsCount,
+        tab: action.query ? null : "all",
+        tag: null,
+        searchQuery: action.query,
+        currentPage: 0,
+        nextPage: nextPage(action.payload, action.payload.items),
+        loadingMore: false,
       };
     case HOME_PAGE_LOADED:
       return {
@@ -55,9 +119,27 @@ const reducer = (state = {}, action) => {
         itemsCount: action.payload[1].itemsCount,
         currentPage: 0,
         tab: action.tab,
+        searchQuery: action.query,
+        sort: action.sort,
+        nextPage: nextPage(action.payload[1], action.payload[1].items),
+        loadingMore: false,
       };
-    case HOME_PAGE_UNLOADED:
-      return {};
+    case HOME_PAGE_RESTORED:
+      return action.list;
+    case HOME_PAGE_UNLOADED: {
+      // kept so that going back to the home page shows the same list at the
+      // same scroll position instead of starting over
+      if (!state.items) {
+        return {};
+      }
+      const { saved, ...list } = state;
+      return {
+        saved: {
+          list: { ...list, loadingMore: false },
+          scrollY: action.scrollY,
+        },
+      };
+    }
     case CHANGE_TAB:
       return {
         ...state,
@@ -67,6 +149,20 @@ const reducer = (state = {}, action) => {
         tab: action.tab,
         currentPage: 0,
         tag: null,
+        searchQuery: null,
+        nextPage: nextPage(action.payload, action.payload.items),
+        loadingMore: false,
+      };
+    case CHANGE_SORT:
+      return {
+        ...state,
+        pager: action.pager,
+        items: action.payload.items,
+        itemsCount: action.payload.itemsCount,
+        sort: action.sort,
+        currentPage: 0,
+        nextPage: nextPage(action.payload, action.payload.items),
+        loadingMore: false,
       };
     case PROFILE_PAGE_LOADED:
     case PROFILE_FAVORITES_PAGE_LOADED:
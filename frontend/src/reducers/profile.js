@@ -3,11 +3,16 @@ import {
   PROFILE_PAGE_UNLOADED,
   FOLLOW_USER,
   UNFOLLOW_USER,
+  PROFILE_REVIEWS_PAGE_LOADED,
+  REVIEW_SUBMITTED,
+  REVIEW_DELETED,
+  SELLER_VERIFIED,
 } from "../constants/actionTypes";
 
 const reducer = (state = {}, action) => {
   switch (action.type) {
     case PROFILE_PAGE_LOADED:
+    case PROFILE_REVIEWS_PAGE_LOADED:
       return {
         ...action.payload?.[0]?.profile,
       };
@@ -18,6 +23,16 @@ const reducer = (state = {}, action) => {
       return {
         ...action.payload.profile,
       };
+    case SELLER_VERIFIED:
+      return action.error ? state : { ...action.payload.profile };
+    case REVIEW_SUBMITTED:
+    case REVIEW_DELETED:
+      return action.error
+        ? state
+        : {
+            ...state,
+            rating: action.payload.profile.rating,
+          };
     default:
       return state;
   }
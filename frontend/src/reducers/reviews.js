@@ -0,0 +1,50 @@
+import {
+  ASYNC_START,
+  PROFILE_PAGE_UNLOADED,
+  PROFILE_REVIEWS_PAGE_LOADED,
+  REVIEW_DELETED,
+  REVIEW_SUBMITTED,
+} from "../constants/actionTypes";
+
+const reducer = (state = {}, action) => {
+  switch (action.type) {
+    case PROFILE_REVIEWS_PAGE_LOADED:
+      return {
+        reviews: action.payload?.[1]?.reviews,
+        reviewsCount: action.payload?.[1]?.reviewsCount,
+        soldItems: action.payload?.[2]?.items || [],
+      };
+    case PROFILE_PAGE_UNLOADED:
+      return {};
+    case ASYNC_START:
+      if (action.subtype === REVIEW_SUBMITTED) {
+        return { ...state, inProgress: true };
+      }
+      return state;
+    case REVIEW_SUBMITTED:
+      return {
+        ...state,
+        inProgress: false,
+        errors: action.error ? action.payload.errors : null,
+        reviews: action.error
+          ? state.reviews
+          : [action.payload.review].concat(state.reviews || []),
+        reviewsCount: action.error
+          ? state.reviewsCount
+          : (state.reviewsCount || 0) + 1,
+      };
+    case REVIEW_DELETED:
+      if (action.error) {
+        return state;
+      }
+      return {
+        ...state,
+        reviews: state.reviews.filter((review) => review.id !== action.id),
+        reviewsCount: state.reviewsCount - 1,
+      };
+    default:
+      return state;
+  }
+};
+
+export default reducer;
@@ -0,0 +1,73 @@
+import agent from "../agent";
+
+const mockSend = jest.fn();
+
+jest.mock("superagent-promise", () => () => {
+  const request = (method) => (url, body) => {
+    const req = {
+      headers: {},
+      set: (name, value) => {
+        req.headers[name] = value;
+        return req;
+      },
+      use: (plugin) => {
+        plugin(req);
+        return req;
+      },
+      then: (resolve, reject) =>
+        mockSend(method, url.replace(/^.*\/api/, ""), body, req.headers).then(
+          resolve,
+          reject
+        ),
+    };
+    return req;
+  };
+
+  return {
+    del: request("DELETE"),
+    get: request("GET"),
+    post: request("POST"),
+    put: request("PUT"),
+  };
+});
+
+const unauthorized = () => Promise.reject({ status: 401 });
+
+describe("agent", () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+    agent.setSession({ token: "expired", refreshToken: "refresh-1" });
+  });
+
+  it("Refresh an expired access token and retry the request", async () => {
+    mockSend.mockImplementation((method, url, body, headers) => {
+      if (url === "/users/refresh") {
+        expect(body).toEqual({ user: { refreshToken: "refresh-1" } });
+        return Promise.resolve({
+          body: { user: { token: "fresh", refreshToken: "refresh-2" } },
+        });
+      }
+      return headers.authorization === "Token fresh"
+        ? Promise.resolve({ body: { user: { username: "jane" } } })
+        : unauthorized();
+    });
+
+    const res = await agent.Auth.current();
+
+    expect(res).toEqual({ user: { username: "jane" } });
+    expect(window.localStorage.getItem("jwt")).toEqual("fresh");
+    expect(window.localStorage.getItem("refreshToken")).toEqual("refresh-2");
+  });
+
+  it("End the session when the refresh token is refused", async () => {
+    const expired = jest.fn();
+    agent.onSessionExpired(expired);
+    mockSend.mockImplementation(unauthorized);
+
+    await expect(agent.Auth.current()).rejects.toEqual({ status: 401 });
+
+    expect(expired).toHaveBeenCalled();
+    expect(window.localStorage.getItem("jwt")).toEqual("");
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+});
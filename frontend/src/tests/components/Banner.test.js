@@ -0,0 +1,95 @@
+import { act } from "react-dom/test-utils";
+import { mount } from "enzyme";
+import { MemoryRouter as Router } from "react-router-dom";
+import Banner from "../../components/Home/Banner";
+import agent from "../../agent";
+
+agent.Items.search = jest.fn();
+agent.Items.all = jest.fn();
+
+describe("Banner component", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    agent.Items.search.mockReset();
+    agent.Items.all.mockReset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("Fill the search box from the URL", () => {
+    const banner = mount(
+      <Router initialEntries={["/?q=dragon"]}>
+        <Banner onSearch={jest.fn()} />
+      </Router>
+    );
+    expect(banner.find("#search-box").prop("value")).toEqual("dragon");
+  });
+
+  it("Search once typing stops", () => {
+    const onSearch = jest.fn();
+    const banner = mount(
+      <Router>
+        <Banner onSearch={onSearch} />
+      </Router>
+    );
+
+    banner.find("#search-box").simulate("change", { target: { value: "dr" } });
+    act(() => {
+      jest.advanceTimersByTime(100);
+    });
+    banner
+      .find("#search-box")
+      .simulate("change", { target: { value: "dragon " } });
+    expect(onSearch).not.toHaveBeenCalled();
+
+    act(() => {
+      jest.runAllTimers();
+    });
+    expect(onSearch).toHaveBeenCalledTimes(1);
+    expect(onSearch.mock.calls[0][0]).toEqual("dragon");
+    expect(agent.Items.search).toHaveBeenCalledWith(
+      "dragon",
+      undefined,
+      undefined
+    );
+  });
+
+  it("Search in the chosen sort order", () => {
+    const banner = mount(
+      <Router>
+        <Banner sort="price_asc" onSearch={jest.fn()} />
+      </Router>
+    );
+
+    banner
+      .find("#search-box")
+      .simulate("change", { target: { value: "lamp" } });
+    act(() => {
+      jest.runAllTimers();
+    });
+    expect(agent.Items.search).toHaveBeenCalledWith(
+      "lamp",
+      undefined,
+      "price_asc"
+    );
+  });
+
+  it("Go back to all items when the search is cleared", () => {
+    const onSearch = jest.fn();
+    const banner = mount(
+      <Router initialEntries={["/?q=dragon"]}>
+        <Banner onSearch={onSearch} />
+      </Router>
+    );
+
+    banner.find("#search-box").simulate("change", { target: { value: "" } });
+    act(() => {
+      jest.runAllTimers();
+    });
+    expect(onSearch).toHaveBeenCalledTimes(1);
+    expect(onSearch.mock.calls[0][0]).toEqual("");
+    expect(agent.Items.all).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+import { mount } from "enzyme";
+import { MemoryRouter as Router } from "react-router-dom";
+import ContentTable from "../../components/Admin/ContentTable";
+
+const items = [1, 2, 3].map((n) => ({
+  slug: `item-${n}`,
+  title: `Item ${n}`,
+  status: "published",
+  hidden: n === 3,
+  createdAt: "2022-01-01T00:00:00.000Z",
+  seller: { username: "seller", image: "" },
+}));
+
+const renderTable = (props) =>
+  mount(
+    <Router>
+      <ContentTable tab="items" records={items} {...props} />
+    </Router>
+  );
+
+describe("Admin ContentTable component", () => {
+  it("Run a bulk action on the selected items", () => {
+    const onBulkAction = jest.fn();
+    const table = renderTable({ onBulkAction });
+    const hide = () => table.find("button").at(0);
+
+    expect(hide().prop("disabled")).toBe(true);
+    table.find('input[aria-label="Select"]').at(0).simulate("change");
+    table.find('input[aria-label="Select"]').at(2).simulate("change");
+    hide().simulate("click");
+
+    expect(onBulkAction).toHaveBeenCalledWith("hide", ["item-1", "item-3"]);
+  });
+
+  it("Select every item and ask before deleting", () => {
+    const onBulkAction = jest.fn();
+    window.confirm = jest.fn(() => false);
+    const table = renderTable({ onBulkAction });
+
+    table.find('input[aria-label="Select all"]').simulate("change");
+    expect(table.text()).toContain("3 selected");
+
+    table.find("button.btn-outline-danger").simulate("click");
+    expect(window.confirm).toHaveBeenCalled();
+    expect(onBulkAction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,39 @@
+import { act } from "react-dom/test-utils";
+import { mount } from "enzyme";
+import EmailVerificationBanner from "../../components/EmailVerificationBanner";
+
+const user = { username: "jane", email: "jane@example.com" };
+
+describe("EmailVerificationBanner component", () => {
+  it("Stay hidden once the email is verified", () => {
+    const banner = mount(
+      <EmailVerificationBanner
+        currentUser={{ ...user, emailVerified: true }}
+        resend={jest.fn()}
+      />
+    );
+
+    expect(banner.html()).toBeNull();
+  });
+
+  it("Resend the verification email", async () => {
+    const resend = jest.fn(() => Promise.resolve({}));
+    const banner = mount(
+      <EmailVerificationBanner
+        currentUser={{ ...user, emailVerified: false }}
+        resend={resend}
+      />
+    );
+
+    expect(banner.text()).toContain("Please confirm your email address");
+    await act(async () => {
+      banner.find("button").simulate("click");
+    });
+    banner.update();
+
+    expect(resend).toHaveBeenCalled();
+    expect(banner.text()).toContain(
+      "We've sent a new link to jane@example.com"
+    );
+  });
+});
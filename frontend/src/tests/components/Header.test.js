@@ -51,4 +51,14 @@ describe("Header component", () => {
     );
     expect(header.find("li > Link").last().text()).toEqual(user.username);
   });
+
+  it("Show how many messages are unread", () => {
+    const user = { username: "user name", image: "image.png" };
+    const header = mount(
+      <Router>
+        <Header currentUser={user} unreadMessages={3} />
+      </Router>
+    );
+    expect(header.find(".badge").text()).toEqual("3");
+  });
 });
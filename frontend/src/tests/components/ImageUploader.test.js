@@ -0,0 +1,48 @@
+import { act } from "react-dom/test-utils";
+import { mount } from "enzyme";
+import ImageUploader from "../../components/ImageUploader";
+import agent from "../../agent";
+
+agent.Uploads.image = jest.fn();
+global.URL.createObjectURL = jest.fn(() => "blob:preview");
+global.URL.revokeObjectURL = jest.fn();
+
+describe("ImageUploader component", () => {
+  beforeEach(() => {
+    agent.Uploads.image.mockReset();
+  });
+
+  it("Reject files that are not images", () => {
+    const uploader = mount(<ImageUploader value="" onChange={jest.fn()} />);
+    const file = new File(["text"], "notes.txt", { type: "text/plain" });
+
+    uploader
+      .find("input[type='file']")
+      .simulate("change", { target: { files: [file] } });
+
+    expect(agent.Uploads.image).not.toHaveBeenCalled();
+    expect(uploader.find("li").text()).toEqual(
+      "image must be a JPEG, PNG or GIF file"
+    );
+  });
+
+  it("Upload a dropped image and report its URL", async () => {
+    const onChange = jest.fn();
+    const uploader = mount(<ImageUploader value="" onChange={onChange} />);
+    const file = new File(["png"], "cat.png", { type: "image/png" });
+    agent.Uploads.image.mockResolvedValue({
+      upload: { url: "http://localhost:3000/uploads/cat.png" },
+    });
+
+    await act(async () => {
+      uploader
+        .find(".image-uploader")
+        .simulate("drop", { dataTransfer: { files: [file] } });
+    });
+
+    expect(agent.Uploads.image).toHaveBeenCalledWith(file);
+    expect(onChange).toHaveBeenCalledWith(
+      "http://localhost:3000/uploads/cat.png"
+    );
+  });
+});
@@ -0,0 +1,74 @@
+import { mount } from "enzyme";
+import { Provider } from "react-redux";
+import { MemoryRouter as Router } from "react-router-dom";
+import configureMockStore from "redux-mock-store";
+import ItemList from "../../components/ItemList";
+
+const mockStore = configureMockStore();
+
+const items = [1, 2].map((n) => ({
+  slug: `item-${n}`,
+  title: `Item ${n}`,
+  description: "",
+  image: "",
+  favoritesCount: 0,
+  seller: { username: "seller", image: "" },
+}));
+
+const renderList = (props) =>
+  mount(
+    <Provider store={mockStore({})}>
+      <Router>
+        <ItemList infinite items={items} {...props} />
+      </Router>
+    </Provider>
+  );
+
+describe("ItemList component in infinite mode", () => {
+  afterEach(() => {
+    delete window.IntersectionObserver;
+  });
+
+  it("Load the next page when the end of the list comes into view", () => {
+    let notify;
+    window.IntersectionObserver = jest.fn((callback) => {
+      notify = callback;
+      return { observe: jest.fn(), disconnect: jest.fn() };
+    });
+    const onLoadMore = jest.fn();
+    renderList({ hasMore: true, onLoadMore });
+
+    notify([{ isIntersecting: false }]);
+    expect(onLoadMore).not.toHaveBeenCalled();
+    notify([{ isIntersecting: true }]);
+    expect(onLoadMore).toHaveBeenCalledTimes(1);
+  });
+
+  it("Show placeholders while a page is loading", () => {
+    const list = renderList({ hasMore: true, loadingMore: true });
+
+    expect(list.find(".item-skeleton")).toHaveLength(3);
+    expect(
+      list.find("button").filterWhere((b) => b.text() === "Load more")
+    ).toHaveLength(0);
+  });
+
+  it("Fall back to a button without IntersectionObserver", () => {
+    const onLoadMore = jest.fn();
+    const list = renderList({ hasMore: true, onLoadMore });
+
+    list
+      .find("button")
+      .filterWhere((b) => b.text() === "Load more")
+      .simulate("click");
+    expect(onLoadMore).toHaveBeenCalledTimes(1);
+  });
+
+  it("Stop once there are no more pages", () => {
+    const list = renderList({ hasMore: false });
+
+    expect(list.find(".item-skeleton")).toHaveLength(0);
+    expect(list.find(".pagination")).toHaveLength(0);
+    expect(list.text()).not.toContain("Load more");
+  });
+});
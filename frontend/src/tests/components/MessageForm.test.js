@@ -0,0 +1,80 @@
+import { act } from "react-dom/test-utils";
+import { mount } from "enzyme";
+import MessageForm from "../../components/Inbox/MessageForm";
+import reducer from "../../reducers/inbox";
+import {
+  MESSAGE_SENT,
+  OLDER_MESSAGES_LOADED,
+} from "../../constants/actionTypes";
+
+const type = (form, body) =>
+  form.find("textarea").simulate("change", { target: { value: body } });
+
+describe("MessageForm component", () => {
+  it("Send the message and clear the form", async () => {
+    const send = jest.fn(() => Promise.resolve({}));
+    const form = mount(<MessageForm send={send} />);
+
+    expect(form.find("button").prop("disabled")).toBe(true);
+    type(form, "Is this still available?");
+    await act(async () => {
+      form.find("form").simulate("submit");
+    });
+    form.update();
+
+    expect(send).toHaveBeenCalledWith("Is this still available?");
+    expect(form.find("textarea").prop("value")).toEqual("");
+  });
+
+  it("Keep the message and show why it couldn't be sent", async () => {
+    const send = jest.fn(() =>
+      Promise.reject({
+        response: { body: { errors: { body: "is too long" } } },
+      })
+    );
+    const form = mount(<MessageForm send={send} />);
+
+    type(form, "Hello");
+    await act(async () => {
+      form.find("form").simulate("submit");
+    });
+    form.update();
+
+    expect(form.text()).toContain("body is too long");
+    expect(form.find("textarea").prop("value")).toEqual("Hello");
+  });
+});
+
+describe("inbox reducer", () => {
+  const messages = [{ id: "2" }, { id: "1" }];
+
+  it("Add a sent message as the newest", () => {
+    const state = reducer(
+      { messages },
+      { type: MESSAGE_SENT, payload: { message: { id: "3" } } }
+    );
+
+    expect(state.messages.map((message) => message.id)).toEqual([
+      "3",
+      "2",
+      "1",
+    ]);
+  });
+
+  it("Add older messages after the ones loaded", () => {
+    const state = reducer(
+      { messages, nextCursor: "a" },
+      {
+        type: OLDER_MESSAGES_LOADED,
+        payload: { messages: [{ id: "0" }], nextCursor: null },
+      }
+    );
+
+    expect(state.messages.map((message) => message.id)).toEqual([
+      "2",
+      "1",
+      "0",
+    ]);
+    expect(state.nextCursor).toBeNull();
+  });
+});
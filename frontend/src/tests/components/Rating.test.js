@@ -0,0 +1,27 @@
+import { mount } from "enzyme";
+import Rating from "../../components/Rating";
+
+describe("Rating component", () => {
+  const icons = (rating) =>
+    rating.find("i").map((icon) => icon.prop("className").replace("bi ", ""));
+
+  it("Round the average to half stars", () => {
+    const rating = mount(<Rating value={3.7} count={12} />);
+
+    expect(icons(rating)).toEqual([
+      "bi-star-fill",
+      "bi-star-fill",
+      "bi-star-fill",
+      "bi-star-half",
+      "bi-star",
+    ]);
+    expect(rating.text()).toContain("Rated 3.7 out of 5 from 12 reviews");
+  });
+
+  it("Show sellers without reviews as unrated", () => {
+    const rating = mount(<Rating value={null} count={0} />);
+
+    expect(rating.find("i").length).toEqual(0);
+    expect(rating.text()).toEqual("No reviews yet");
+  });
+});
@@ -0,0 +1,38 @@
+import { act } from "react-dom/test-utils";
+import { mount } from "enzyme";
+import ReportButton from "../../components/ReportButton";
+
+describe("ReportButton component", () => {
+  it("Send the chosen reason and thank the reporter", async () => {
+    const send = jest.fn(() => Promise.resolve({}));
+    const button = mount(<ReportButton send={send} />);
+
+    button.find("button").simulate("click");
+    button.find("select").simulate("change", { target: { value: "spam" } });
+    await act(async () => {
+      button.find("form").simulate("submit");
+    });
+    button.update();
+
+    expect(send).toHaveBeenCalledWith({ reason: "spam", details: undefined });
+    expect(button.text()).toContain("Reported, thanks");
+  });
+
+  it("Show why a report was refused", async () => {
+    const send = jest.fn(() =>
+      Promise.reject({
+        response: { body: { errors: { report: "was already filed by you" } } },
+      })
+    );
+    const button = mount(<ReportButton send={send} />);
+
+    button.find("button").simulate("click");
+    await act(async () => {
+      button.find("form").simulate("submit");
+    });
+    button.update();
+
+    expect(button.text()).toContain("report was already filed by you");
+    expect(button.find("form").exists()).toBe(true);
+  });
+});
@@ -0,0 +1,35 @@
+import { mount } from "enzyme";
+import { Provider } from "react-redux";
+import { MemoryRouter } from "react-router-dom";
+import { combineReducers, createStore } from "redux";
+import auth from "../../reducers/auth";
+import ResetPassword from "../../components/ResetPassword";
+
+const renderAt = (url) =>
+  mount(
+    <Provider store={createStore(combineReducers({ auth }))}>
+      <MemoryRouter initialEntries={[url]}>
+        <ResetPassword />
+      </MemoryRouter>
+    </Provider>
+  );
+
+describe("ResetPassword component", () => {
+  it("Refuse passwords that don't match", () => {
+    const page = renderAt("/reset-password?token=abc");
+    const inputs = page.find("input");
+
+    inputs.at(0).simulate("change", { target: { value: "new secret" } });
+    inputs.at(1).simulate("change", { target: { value: "new secrte" } });
+    page.find("form").simulate("submit");
+
+    expect(page.text()).toContain("passwords don't match");
+  });
+
+  it("Explain a link without a token", () => {
+    const page = renderAt("/reset-password");
+
+    expect(page.find("form").exists()).toBe(false);
+    expect(page.text()).toContain("missing its reset token");
+  });
+});
@@ -0,0 +1,35 @@
+import { mount } from "enzyme";
+import SortSelect, { sortFromParams } from "../../components/Home/SortSelect";
+
+describe("SortSelect component", () => {
+  it("Offer relevance only when searching", () => {
+    const options = (searching) =>
+      mount(<SortSelect sort="" searching={searching} onChange={jest.fn()} />)
+        .find("option")
+        .map((option) => option.prop("value"));
+
+    expect(options(false)).not.toContain("relevance");
+    expect(options(true)[0]).toEqual("relevance");
+  });
+
+  it("Report the default order as no sort", () => {
+    const onChange = jest.fn();
+    const select = mount(
+      <SortSelect sort="price_asc" searching={false} onChange={onChange} />
+    );
+
+    expect(select.find("select").prop("value")).toEqual("price_asc");
+    select.find("select").simulate("change", { target: { value: "newest" } });
+    select
+      .find("select")
+      .simulate("change", { target: { value: "most_favorited" } });
+    expect(onChange.mock.calls).toEqual([[""], ["most_favorited"]]);
+  });
+
+  it("Ignore unknown orders in the URL", () => {
+    expect(sortFromParams(new URLSearchParams("sort=oldest"))).toEqual(
+      "oldest"
+    );
+    expect(sortFromParams(new URLSearchParams("sort=random"))).toEqual("");
+  });
+});
@@ -0,0 +1,32 @@
+import { mount } from "enzyme";
+import { BrowserRouter as Router } from "react-router-dom";
+import TooManyLogins from "../../components/TooManyLogins";
+
+describe("TooManyLogins component", () => {
+  it("Explain a locked account and offer a password reset", () => {
+    const message = mount(
+      <Router>
+        <TooManyLogins
+          errors={{ account: "is locked after too many failed sign ins" }}
+          retryAfter={900}
+        />
+      </Router>
+    );
+
+    expect(message.text()).toContain("this account is locked for 15 minutes");
+    expect(message.find("Link").prop("to")).toEqual("/forgot-password");
+  });
+
+  it("Ask to wait after too many attempts from one address", () => {
+    const message = mount(
+      <Router>
+        <TooManyLogins
+          errors={{ login: "was tried too many times" }}
+          retryAfter={42}
+        />
+      </Router>
+    );
+
+    expect(message.text()).toContain("Please try again in a minute.");
+  });
+});
@@ -0,0 +1,68 @@
+import { act } from "react-dom/test-utils";
+import { mount } from "enzyme";
+import agent from "../../agent";
+import TwoFactorSettings from "../../components/TwoFactorSettings";
+
+jest.mock("../../agent", () => ({
+  __esModule: true,
+  default: {
+    Auth: {
+      startTwoFactor: jest.fn(),
+      confirmTwoFactor: jest.fn(),
+    },
+  },
+}));
+
+describe("TwoFactorSettings component", () => {
+  it("Set up two-factor sign in and show the recovery codes", async () => {
+    agent.Auth.startTwoFactor.mockResolvedValue({
+      twoFactor: {
+        secret: "JBSWY3DPEHPK3PXP",
+        qrCode: "data:image/png;base64,",
+      },
+    });
+    agent.Auth.confirmTwoFactor.mockResolvedValue({
+      user: { username: "jane", twoFactorEnabled: true },
+      recoveryCodes: ["aaaaa-11111", "bbbbb-22222"],
+    });
+    const onChange = jest.fn();
+    const settings = mount(
+      <TwoFactorSettings enabled={false} onChange={onChange} />
+    );
+
+    await act(async () => {
+      settings.find("button").simulate("click");
+    });
+    settings.update();
+    expect(settings.find(".two-factor-secret").text()).toEqual(
+      "JBSWY3DPEHPK3PXP"
+    );
+
+    settings.find("input").simulate("change", { target: { value: "123456" } });
+    await act(async () => {
+      settings.find("form").simulate("submit");
+    });
+    settings.update();
+
+    expect(agent.Auth.confirmTwoFactor).toHaveBeenCalledWith("123456");
+    expect(onChange).toHaveBeenCalledWith({
+      username: "jane",
+      twoFactorEnabled: true,
+    });
+    expect(settings.find(".recovery-codes li").map((li) => li.text())).toEqual([
+      "aaaaa-11111",
+      "bbbbb-22222",
+    ]);
+  });
+
+  it("Ask for a code before turning it off", () => {
+    const settings = mount(
+      <TwoFactorSettings enabled={true} onChange={jest.fn()} />
+    );
+
+    expect(settings.text()).toContain("Two-factor authentication is on");
+    expect(settings.find("button").everyWhere((b) => b.prop("disabled"))).toBe(
+      true
+    );
+  });
+});
@@ -0,0 +1,17 @@
+import { mount } from "enzyme";
+import VerifiedBadge from "../../components/VerifiedBadge";
+
+describe("VerifiedBadge component", () => {
+  it("Show the badge for verified sellers only", () => {
+    expect(
+      mount(<VerifiedBadge user={{ username: "jane", verified: true }} />)
+        .find("img")
+        .prop("alt")
+    ).toEqual("Verified seller");
+    expect(
+      mount(
+        <VerifiedBadge user={{ username: "joe", verified: false }} />
+      ).html()
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+import { mount } from "enzyme";
+import { Provider } from "react-redux";
+import { MemoryRouter as Router } from "react-router-dom";
+import configureMockStore from "redux-mock-store";
+import CommentList from "../../components/Item/CommentList";
+import reducer from "../../reducers/item";
+import {
+  ADD_COMMENT,
+  COMMENT_UPDATED,
+  DELETE_COMMENT,
+} from "../../constants/actionTypes";
+
+const mockStore = configureMockStore();
+
+const comment = (id, body, replies = [], parent = null) => ({
+  id,
+  body,
+  parent,
+  createdAt: "2022-01-01T00:00:00.000Z",
+  seller: { username: `user-${id}`, image: "" },
+  replies,
+  repliesCount: replies.length,
+});
+
+const threads = [
+  comment("1", "Is this still available?", [
+    comment("2", "It is!", [comment("3", "Great, thanks", [], "2")], "1"),
+  ]),
+];
+
+const renderList = (currentUser) =>
+  mount(
+    <Provider store={mockStore({})}>
+      <Router>
+        <CommentList comments={threads} slug="slug" currentUser={currentUser} />
+      </Router>
+    </Provider>
+  );
+
+describe("CommentList component", () => {
+  it("Show replies nested under what they reply to", () => {
+    const list = renderList(null);
+
+    expect(list.text()).toContain("It is!");
+    expect(list.text()).toContain("Great, thanks");
+    expect(list.find(".border-left")).toHaveLength(2);
+  });
+
+  it("Collapse and expand a thread", () => {
+    const list = renderList(null);
+    const toggle = () => list.find("button").first();
+
+    expect(toggle().text()).toContain("Hide 1 reply");
+    toggle().simulate("click");
+    expect(list.text()).not.toContain("It is!");
+
+    toggle().simulate("click");
+    expect(list.text()).toContain("It is!");
+  });
+
+  it("Open a reply box for signed in users", () => {
+    const list = renderList({ username: "jane", image: "" });
+
+    expect(list.find("textarea")).toHaveLength(0);
+    list
+      .find("button")
+      .filterWhere((button) => button.text().includes("Reply"))
+      .first()
+      .simulate("click");
+    expect(list.find("textarea").prop("placeholder")).toEqual(
+      "Write a reply..."
+    );
+  });
+});
+
+describe("item reducer", () => {
+  it("Add a reply to its thread", () => {
+    const reply = comment("4", "Can you ship it?", [], "2");
+    const state = reducer(
+      { comments: threads },
+      { type: ADD_COMMENT, payload: { comment: reply } }
+    );
+    const parent = state.comments[0].replies[0];
+
+    expect(parent.repliesCount).toEqual(2);
+    expect(parent.replies[1].id).toEqual("4");
+  });
+
+  it("Replace an edited comment and keep its replies", () => {
+    const edited = { id: "2", body: "It is, yes!", parent: "1" };
+    const state = reducer(
+      { comments: threads },
+      { type: COMMENT_UPDATED, payload: { comment: edited } }
+    );
+    const updated = state.comments[0].replies[0];
+
+    expect(updated.body).toEqual("It is, yes!");
+    expect(updated.replies).toHaveLength(1);
+    expect(updated.repliesCount).toEqual(1);
+  });
+
+  it("Remove a comment with its replies", () => {
+    const state = reducer(
+      { comments: threads },
+      { type: DELETE_COMMENT, commentId: "2" }
+    );
+
+    expect(state.comments[0].replies).toHaveLength(0);
+    expect(state.comments[0].repliesCount).toEqual(0);
+  });
+});
@@ -0,0 +1,44 @@
+import { act } from "react-dom/test-utils";
+import { mount } from "enzyme";
+import CommentRevisions from "../../components/Item/CommentRevisions";
+
+const revisions = [
+  { body: "Is this available?", createdAt: "2022-01-01T10:00:00.000Z" },
+  { body: "Is this still available?", createdAt: "2022-01-01T10:05:00.000Z" },
+];
+
+describe("CommentRevisions component", () => {
+  it("Load the revisions once and list them newest first", async () => {
+    const load = jest.fn(() => Promise.resolve({ revisions }));
+    const viewer = mount(<CommentRevisions load={load} />);
+
+    await act(async () => {
+      viewer.find("button").simulate("click");
+    });
+    viewer.update();
+
+    const entries = viewer.find(".comment-revisions .mb-2");
+    expect(entries.first().text()).toContain("Current");
+    expect(entries.first().text()).toContain("Is this still available?");
+    expect(entries.last().text()).toContain("Original");
+    expect(entries.last().text()).toContain("Is this available?");
+
+    viewer.find("button").simulate("click");
+    viewer.find("button").simulate("click");
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  it("Show why the revisions couldn't be loaded", async () => {
+    const load = jest.fn(() =>
+      Promise.reject({ response: { body: { errors: { comment: "is gone" } } } })
+    );
+    const viewer = mount(<CommentRevisions load={load} />);
+
+    await act(async () => {
+      viewer.find("button").simulate("click");
+    });
+    viewer.update();
+
+    expect(viewer.text()).toContain("comment is gone");
+  });
+});
@@ -146,6 +146,54 @@ class AnythinkClient {
     return result.data?.comments;
   }
 
+  async replyToComment(slug, parentId, commentBody, callingUser) {
+    const result = await this.#apiCall({
+      method: Method.POST,
+      url: `/api/items/${slug}/comments`,
+      callingUser,
+      data: { comment: { body: commentBody, parent: parentId } },
+    });
+    return result.data?.comment;
+  }
+
+  async listComments({ item, author, limit }, callingUser) {
+    const params = new URLSearchParams();
+
+    if (item) {
+      params.set("item", item);
+    }
+
+    if (author) {
+      params.set("author", author);
+    }
+
+    if (limit) {
+      params.set("limit", limit);
+    }
+
+    const result = await this.#apiCall({
+      url: `/api/comments?${params}`,
+      callingUser,
+    });
+    return result.data?.comments;
+  }
+
+  async getComment(commentId, callingUser) {
+    const result = await this.#apiCall({
+      url: `/api/comments/${commentId}`,
+      callingUser,
+    });
+    return result.data?.comment;
+  }
+
+  async deleteCommentById(commentId, callingUser) {
+    await this.#apiCall({
+      method: Method.DELETE,
+      url: `/api/comments/${commentId}`,
+      callingUser,
+    });
+  }
+
   async getUserItems(seller, limit, offset, favorited, tag, callingUser) {
     let url = `/api/items?seller=${seller}`;
 
@@ -210,6 +258,40 @@ class AnythinkClient {
     return result.data?.profile;
   }
 
+  async startConversation(slug, body, callingUser) {
+    const result = await this.#apiCall({
+      method: Method.POST,
+      url: "/api/conversations",
+      callingUser,
+      data: { conversation: { item: slug, body } },
+    });
+    return result.data?.conversation;
+  }
+
+  async getConversations(callingUser) {
+    const result = await this.#apiCall({
+      url: "/api/conversations",
+      callingUser,
+    });
+    return result.data?.conversations;
+  }
+
+  async getConversation(conversationId, callingUser) {
+    const result = await this.#apiCall({
+      url: `/api/conversations/${conversationId}`,
+      callingUser,
+    });
+    return result.data?.conversation;
+  }
+
+  async getUnreadMessagesCount(callingUser) {
+    const result = await this.#apiCall({
+      url: "/api/conversations/unread",
+      callingUser,
+    });
+    return result.data?.unreadCount;
+  }
+
   async getTags() {
     const result = await this.#apiCall({ url: "/api/tags" });
     return result.data?.tags;
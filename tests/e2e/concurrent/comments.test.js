@@ -0,0 +1,176 @@
+const {
+  beforeAll,
+  expect,
+  describe,
+  beforeEach,
+  test,
+} = require("@jest/globals");
+const { AnythinkClient } = require("../anytinkClient");
+const { randomItemInfo, randomUserInfo, randomString } = require("../utils");
+
+let anythinkClient;
+
+beforeAll(async () => {
+  anythinkClient = new AnythinkClient();
+});
+
+describe("Comments Route", () => {
+  let seller;
+  let author;
+  let otherUser;
+  let item;
+
+  beforeEach(async () => {
+    seller = await anythinkClient.createUser(randomUserInfo());
+    author = await anythinkClient.createUser(randomUserInfo());
+    otherUser = await anythinkClient.createUser(randomUserInfo());
+    item = await anythinkClient.createItem(randomItemInfo(), seller);
+  });
+
+  const comment = (user, onItem = item) =>
+    anythinkClient.commentOnItem(onItem.slug, randomString(50), user);
+
+  describe("List comments", () => {
+    test("Lists an item's comments newest first", async () => {
+      const first = await comment(author);
+      const second = await comment(otherUser);
+
+      const comments = await anythinkClient.listComments({ item: item.slug });
+
+      expect(comments.map((c) => c.id)).toEqual([second.id, first.id]);
+      expect(comments[0].item).toEqual({ slug: item.slug, title: item.title });
+    });
+
+    test("Lists an author's comments across items", async () => {
+      const otherItem = await anythinkClient.createItem(
+        randomItemInfo(),
+        seller
+      );
+      await comment(author);
+      await comment(author, otherItem);
+      await comment(otherUser);
+
+      const comments = await anythinkClient.listComments({
+        author: author.username,
+      });
+
+      expect(comments).toHaveLength(2);
+      expect(comments.every((c) => c.seller.username === author.username)).toBe(
+        true
+      );
+    });
+
+    test("Includes replies", async () => {
+      const parent = await comment(author);
+      const reply = await anythinkClient.replyToComment(
+        item.slug,
+        parent.id,
+        randomString(50),
+        otherUser
+      );
+
+      const comments = await anythinkClient.listComments({ item: item.slug });
+
+      expect(comments[0]).toMatchObject({ id: reply.id, parent: parent.id });
+    });
+
+    test("Leaves out comments on items others can't see before paging", async () => {
+      const visible = await comment(seller);
+      const draft = await anythinkClient.createItem(
+        randomItemInfo({ status: "draft" }),
+        seller
+      );
+      await comment(seller, draft);
+
+      const comments = await anythinkClient.listComments({
+        author: seller.username,
+        limit: 1,
+      });
+
+      expect(comments.map((c) => c.id)).toEqual([visible.id]);
+    });
+
+    test("Can't list without an item or an author", async () => {
+      await expect(anythinkClient.listComments({})).rejects.toMatchObject({
+        response: { status: 422 },
+      });
+    });
+
+    test("Can't list comments of an unknown item", async () => {
+      await expect(
+        anythinkClient.listComments({ item: randomString() })
+      ).rejects.toMatchObject({ response: { status: 404 } });
+    });
+  });
+
+  describe("Get comment", () => {
+    test("Can retrieve a comment by id", async () => {
+      const created = await comment(author);
+
+      const received = await anythinkClient.getComment(created.id);
+
+      expect(received).toMatchObject({ id: created.id, body: created.body });
+      expect(received.item.slug).toEqual(item.slug);
+    });
+
+    test("Can't retrieve a comment that doesn't exist", async () => {
+      await expect(
+        anythinkClient.getComment("000000000000000000000000")
+      ).rejects.toMatchObject({ response: { status: 404 } });
+    });
+  });
+
+  describe("Delete comment", () => {
+    test("Authors can delete their comments", async () => {
+      const created = await comment(author);
+
+      await anythinkClient.deleteCommentById(created.id, author);
+
+      expect(await anythinkClient.getComments(item.slug)).toHaveLength(0);
+      expect((await anythinkClient.getItem(item.slug)).commentsCount).toBe(0);
+    });
+
+    test("Sellers can delete comments on their items", async () => {
+      const created = await comment(author);
+
+      await anythinkClient.deleteCommentById(created.id, seller);
+
+      expect(await anythinkClient.getComments(item.slug)).toHaveLength(0);
+    });
+
+    test("Other users can't delete a comment", async () => {
+      const created = await comment(author);
+
+      await expect(
+        anythinkClient.deleteCommentById(created.id, otherUser)
+      ).rejects.toMatchObject({ response: { status: 403 } });
+      expect(await anythinkClient.getComments(item.slug)).toHaveLength(1);
+    });
+
+    test("Can't delete a comment without a logged in user", async () => {
+      const created = await comment(author);
+
+      await expect(
+        anythinkClient.deleteCommentById(created.id)
+      ).rejects.toMatchObject({ response: { status: 401 } });
+    });
+
+    test("Deleting a comment deletes the replies to it", async () => {
+      const parent = await comment(author);
+      await anythinkClient.replyToComment(
+        item.slug,
+        parent.id,
+        randomString(50),
+        otherUser
+      );
+      await comment(otherUser);
+
+      await anythinkClient.deleteCommentById(parent.id, author);
+
+      expect(
+        await anythinkClient.listComments({ item: item.slug })
+      ).toHaveLength(1);
+      expect((await anythinkClient.getItem(item.slug)).commentsCount).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const {
+  beforeAll,
+  expect,
+  describe,
+  beforeEach,
+  test,
+} = require("@jest/globals");
+const { AnythinkClient } = require("../anytinkClient");
+const { randomItemInfo, randomUserInfo, randomString } = require("../utils");
+
+let anythinkClient;
+
+beforeAll(async () => {
+  anythinkClient = new AnythinkClient();
+});
+
+describe("Conversations Route", () => {
+  let seller;
+  let buyer;
+  let item;
+
+  beforeEach(async () => {
+    seller = await anythinkClient.createUser(randomUserInfo());
+    buyer = await anythinkClient.createUser(randomUserInfo());
+    item = await anythinkClient.createItem(randomItemInfo(), seller);
+  });
+
+  describe("Start conversation", () => {
+    test("A message that can't be sent leaves no conversation", async () => {
+      await expect(
+        anythinkClient.startConversation(item.slug, randomString(2001), buyer)
+      ).rejects.toMatchObject({
+        response: { status: 422, data: { errors: { body: "is too long" } } },
+      });
+
+      expect(await anythinkClient.getConversations(buyer)).toHaveLength(0);
+    });
+
+    test("Starting twice at once gives one conversation", async () => {
+      const [first, second] = await Promise.all([
+        anythinkClient.startConversation(item.slug, randomString(), buyer),
+        anythinkClient.startConversation(item.slug, randomString(), buyer),
+      ]);
+
+      expect(first.id).toEqual(second.id);
+      expect(await anythinkClient.getConversations(buyer)).toHaveLength(1);
+    });
+  });
+
+  describe("Delete item", () => {
+    test("Deleting an item deletes the conversations about it", async () => {
+      const conversation = await anythinkClient.startConversation(
+        item.slug,
+        randomString(50),
+        buyer
+      );
+      expect(await anythinkClient.getConversations(seller)).toHaveLength(1);
+      expect(await anythinkClient.getUnreadMessagesCount(seller)).toBe(1);
+
+      await anythinkClient.deleteItem(item.slug, seller);
+
+      expect(await anythinkClient.getConversations(buyer)).toHaveLength(0);
+      expect(await anythinkClient.getConversations(seller)).toHaveLength(0);
+      expect(await anythinkClient.getUnreadMessagesCount(seller)).toBe(0);
+      await expect(
+        anythinkClient.getConversation(conversation.id, buyer)
+      ).rejects.toMatchObject({ response: { status: 404 } });
+    });
+
+    test("Conversations about other items stay", async () => {
+      const otherItem = await anythinkClient.createItem(
+        randomItemInfo(),
+        seller
+      );
+      await anythinkClient.startConversation(item.slug, randomString(), buyer);
+      const kept = await anythinkClient.startConversation(
+        otherItem.slug,
+        randomString(),
+        buyer
+      );
+
+      await anythinkClient.deleteItem(item.slug, seller);
+
+      const conversations = await anythinkClient.getConversations(buyer);
+      expect(conversations.map((c) => c.id)).toEqual([kept.id]);
+      expect(conversations[0].item.slug).toEqual(otherItem.slug);
+    });
+  });
+});